@@ -0,0 +1,1921 @@
+// ===== Fluid Simulation Demo Page =====
+// Wires the engine in fluid.js to the control panel in index.html
+
+import {
+    FluidSimulation,
+    ShaderError,
+    WebGLUnsupportedError,
+    EMITTER_COLOR_SOURCES
+} from './fluid.js';
+import { CpuFluidSimulation } from './fluid-cpu.js';
+import { AudioReactor, AUDIO_SOURCES, AUDIO_TARGETS } from './audio.js';
+import { CollabSession } from './collab.js';
+import { PARAMETER_GROUPS, PARAMETERS, LANGUAGES, translate, cleanConfigValue } from './params.js';
+
+// ===== Presets =====
+const PRESET_VERSION = 2;
+const PRESET_STORAGE_KEY = 'fluid-presets';
+const SESSION_STORAGE_KEY = 'fluid-session';
+const PALETTE_STORAGE_KEY = 'fluid-palettes';
+const AUDIO_STORAGE_KEY = 'fluid-audio';
+const COLLAB_STORAGE_KEY = 'fluid-collab';
+const PANEL_STORAGE_KEY = 'fluid-panel';
+
+// Upgrades older preset documents one version at a time
+const PRESET_MIGRATIONS = {
+    // Version 0: a bare config object with no envelope
+    0: (data) => ({ version: 1, name: '', config: data }),
+    // Version 1: splat and emitter radii were stored x100
+    1: (preset) => {
+        const upgraded = Object.assign({}, preset, { version: 2, config: scaleRadius(preset.config, 'splatRadius') });
+        if (Array.isArray(preset.emitters)) upgraded.emitters = preset.emitters.map(e => scaleRadius(e, 'radius'));
+        return upgraded;
+    }
+};
+
+// A copy with a version 1 radius in today's units; anything else is left to validation
+function scaleRadius(values, key) {
+    if (!values || typeof values !== 'object' || typeof values[key] !== 'number') return values;
+    return Object.assign({}, values, { [key]: values[key] / 100 });
+}
+
+class PresetManager {
+    constructor(simulation) {
+        this.sim = simulation;
+        // Snapshot of the defaults, used to validate types of incoming values
+        this.defaults = JSON.parse(JSON.stringify(simulation.config));
+    }
+
+    serialize(name = '') {
+        const preset = {
+            version: PRESET_VERSION,
+            name,
+            config: JSON.parse(JSON.stringify(this.sim.config)),
+            emitters: this.sim.getEmitters()
+        };
+        // Custom palettes travel with the preset so shared links still work
+        const scheme = this.sim.config.colorScheme;
+        if (!this.sim.isBuiltInColorScheme(scheme)) {
+            preset.palette = this.sim.colorSchemes[scheme].map(colorToHex);
+        }
+        return preset;
+    }
+
+    // Returns { config, palette, emitters } with clean values, or throws with a readable message
+    validate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Preset is not an object');
+        }
+
+        let preset = 'version' in data ? data : PRESET_MIGRATIONS[0](data);
+        if (!Number.isInteger(preset.version) || preset.version > PRESET_VERSION) {
+            throw new Error(`Unsupported preset version: ${preset.version}`);
+        }
+        while (preset.version < PRESET_VERSION) {
+            preset = PRESET_MIGRATIONS[preset.version](preset);
+        }
+
+        if (!preset.config || typeof preset.config !== 'object') {
+            throw new Error('Preset has no config');
+        }
+
+        const config = {};
+        for (const key in preset.config) {
+            const value = preset.config[key];
+            const fallback = this.defaults[key];
+
+            if (!Object.hasOwn(this.defaults, key)) {
+                console.warn('Ignoring unknown preset key:', key);
+            } else if (key === 'colorScheme') {
+                // A scheme this page doesn't have is only taken with the
+                // palette the preset carries for it; names like "constructor"
+                // are never schemes
+                const known = typeof value === 'string' && Object.hasOwn(this.sim.colorSchemes, value);
+                const carried = typeof value === 'string' && !!preset.palette && !(value in Object.prototype);
+                if (!known && !carried) {
+                    throw new Error(`Unknown color scheme: ${value}`);
+                }
+                config[key] = value;
+            } else {
+                // Links can come from anyone, so numbers are held to the panel's ranges
+                config[key] = cleanConfigValue(key, value, fallback);
+            }
+        }
+
+        let palette = null;
+        if (preset.palette && config.colorScheme && !this.sim.isBuiltInColorScheme(config.colorScheme)) {
+            palette = parsePaletteColors(preset.palette);
+        }
+
+        // Presets saved before emitters existed leave the current ones alone
+        let emitters = null;
+        if ('emitters' in preset) {
+            if (!Array.isArray(preset.emitters)) throw new Error('emitters must be a list');
+            emitters = preset.emitters.map(emitter => this.sim.normalizeEmitter(emitter));
+        }
+        return { config, palette, emitters };
+    }
+
+    apply(data) {
+        const { config, palette, emitters } = this.validate(data);
+        if (palette) this.sim.setColorScheme(config.colorScheme, palette);
+        if (emitters) this.sim.setEmitters(emitters);
+        this.sim.applyConfig(config);
+    }
+
+    // ----- URL hash -----
+    toHash() {
+        return '#preset=' + encodeBase64Url(JSON.stringify(this.serialize()));
+    }
+
+    // Applies a preset found in the hash; returns false when there is none
+    loadFromHash(hash = window.location.hash) {
+        const match = /[#&]preset=([\w-]+)/.exec(hash);
+        if (!match) return false;
+        this.apply(JSON.parse(decodeBase64Url(match[1])));
+        return true;
+    }
+
+    // ----- JSON files -----
+    exportBlob(name = '') {
+        const json = JSON.stringify(this.serialize(name), null, 2);
+        return new Blob([json], { type: 'application/json' });
+    }
+
+    importFile(file) {
+        return file.text().then(text => {
+            const data = JSON.parse(text);
+            this.apply(data);
+            return data.name || '';
+        });
+    }
+
+    // ----- Local library -----
+    readLibrary() {
+        try {
+            return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Preset library is unreadable, starting fresh:', err);
+            return {};
+        }
+    }
+
+    writeLibrary(library) {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(library));
+    }
+
+    list() {
+        return Object.keys(this.readLibrary()).sort();
+    }
+
+    save(name) {
+        const library = this.readLibrary();
+        library[name] = this.serialize(name);
+        this.writeLibrary(library);
+    }
+
+    load(name) {
+        const preset = this.readLibrary()[name];
+        if (!preset) throw new Error(`No preset named "${name}"`);
+        this.apply(preset);
+    }
+
+    remove(name) {
+        const library = this.readLibrary();
+        delete library[name];
+        this.writeLibrary(library);
+    }
+
+    // ----- Session -----
+    saveSession() {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(this.serialize()));
+    }
+
+    restoreSession() {
+        const saved = localStorage.getItem(SESSION_STORAGE_KEY);
+        if (!saved) return false;
+        try {
+            this.apply(JSON.parse(saved));
+            return true;
+        } catch (err) {
+            console.warn('Could not restore last session:', err);
+            return false;
+        }
+    }
+}
+
+// ===== Palettes =====
+// Custom color schemes, kept in localStorage and registered with the engine.
+// A palette file is { version, name, colors: ['#rrggbb', ...] }; plain CSS
+// color lists ("#0ff, rgb(255 0 255), hsl(270 100% 55%)") import too.
+class PaletteLibrary {
+    constructor(simulation) {
+        this.sim = simulation;
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(PALETTE_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Palette library is unreadable, starting fresh:', err);
+            return {};
+        }
+    }
+
+    write(library) {
+        localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(library));
+    }
+
+    // Registers every stored palette with the simulation
+    restore() {
+        const library = this.read();
+        for (const name in library) {
+            try {
+                this.sim.setColorScheme(name, parsePaletteColors(library[name]));
+            } catch (err) {
+                console.warn(`Skipping palette "${name}":`, err);
+            }
+        }
+    }
+
+    save(name, colors) {
+        this.sim.setColorScheme(name, colors);
+        const library = this.read();
+        library[name] = colors.map(colorToHex);
+        this.write(library);
+    }
+
+    remove(name) {
+        this.sim.removeColorScheme(name);
+        const library = this.read();
+        delete library[name];
+        this.write(library);
+    }
+
+    exportBlob(name, colors) {
+        const json = JSON.stringify({ version: 1, name, colors: colors.map(colorToHex) }, null, 2);
+        return new Blob([json], { type: 'application/json' });
+    }
+
+    toCss(colors) {
+        return colors.map(colorToHex).join(', ');
+    }
+
+    // Accepts a palette file, a bare JSON array or a CSS color list
+    parse(text, fallbackName = '') {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const data = JSON.parse(trimmed);
+            const colors = Array.isArray(data) ? data : data.colors;
+            const name = typeof data.name === 'string' && data.name ? data.name : fallbackName;
+            return { name, colors: parsePaletteColors(colors) };
+        }
+
+        const tokens = trimmed.match(/#[0-9a-f]{3,8}\b|(?:rgba?|hsla?)\([^)]*\)/gi);
+        if (!tokens) throw new Error('No colors found');
+        return { name: fallbackName, colors: tokens.map(parseCssColor) };
+    }
+}
+
+// Palette entries may be CSS strings or { r, g, b } objects
+function parsePaletteColors(colors) {
+    if (!Array.isArray(colors) || colors.length === 0) {
+        throw new Error('A palette needs at least one color');
+    }
+    return colors.map(color => {
+        if (typeof color === 'string') return parseCssColor(color);
+        if (color && ['r', 'g', 'b'].every(c => Number.isFinite(color[c]))) {
+            return { r: color.r, g: color.g, b: color.b };
+        }
+        throw new Error(`Not a color: ${JSON.stringify(color)}`);
+    });
+}
+
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// ===== Color Helpers =====
+function hexToColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return {
+        r: ((value >> 16) & 255) / 255,
+        g: ((value >> 8) & 255) / 255,
+        b: (value & 255) / 255
+    };
+}
+
+// #rgb, #rgba, #rrggbb, #rrggbbaa, rgb()/rgba() and hsl()/hsla(); alpha is dropped
+function parseCssColor(text) {
+    const value = text.trim().toLowerCase();
+
+    const hex = /^#([0-9a-f]{3,8})$/.exec(value);
+    if (hex && [3, 4, 6, 8].includes(hex[1].length)) {
+        const digits = hex[1].length <= 4
+            ? hex[1].slice(0, 3).split('').map(d => d + d).join('')
+            : hex[1].slice(0, 6);
+        return hexToColor('#' + digits);
+    }
+
+    const fn = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(value);
+    if (fn) {
+        // Both "1, 2, 3" and "1 2 3 / 0.5" syntaxes
+        const parts = fn[2].split('/')[0].split(/[\s,]+/).filter(Boolean).slice(0, 3);
+        const number = (part, scale) => part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part) / scale;
+
+        if (parts.length === 3) {
+            let color;
+            if (fn[1].startsWith('rgb')) {
+                color = { r: number(parts[0], 255), g: number(parts[1], 255), b: number(parts[2], 255) };
+            } else {
+                color = hslToColor(parseFloat(parts[0]), number(parts[1], 100), number(parts[2], 100));
+            }
+            if (['r', 'g', 'b'].every(c => Number.isFinite(color[c]))) {
+                return {
+                    r: Math.min(Math.max(color.r, 0), 1),
+                    g: Math.min(Math.max(color.g, 0), 1),
+                    b: Math.min(Math.max(color.b, 0), 1)
+                };
+            }
+        }
+    }
+
+    throw new Error(`Not a CSS color: ${text}`);
+}
+
+// Hue in degrees, saturation and lightness 0-1
+function hslToColor(h, s, l) {
+    const k = (n) => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return { r: f(0), g: f(8), b: f(4) };
+}
+
+function colorToHex(color) {
+    const channel = (v) => Math.round(Math.min(Math.max(v, 0), 1) * 255).toString(16).padStart(2, '0');
+    return '#' + channel(color.r) + channel(color.g) + channel(color.b);
+}
+
+// Short readable number for the legend and probe
+function formatValue(value) {
+    if (value === 0) return '0';
+    const magnitude = Math.abs(value);
+    return magnitude >= 1e4 || magnitude < 1e-2 ? value.toExponential(2) : value.toPrecision(3);
+}
+
+// ===== Parameter Helpers =====
+// Config value <-> the number a schema control shows
+function toDisplayValue(param, value) {
+    return value * (param.scale || 1);
+}
+
+function fromDisplayValue(param, value) {
+    return value / (param.scale || 1);
+}
+
+// Drops float noise such as 0.30000000000000004
+function formatNumber(value) {
+    return String(parseFloat(value.toPrecision(6)));
+}
+
+// ===== Download Helper =====
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Grid resolutions behind the quality menu
+const QUALITY_LEVELS = {
+    low: { simResolution: 64, dyeResolution: 512 },
+    medium: { simResolution: 128, dyeResolution: 1024 },
+    high: { simResolution: 256, dyeResolution: 1024 },
+    ultra: { simResolution: 512, dyeResolution: 2048 }
+};
+
+// Frames shown in the stats graph, and the frame time (ms) it spans at least
+const FRAME_GRAPH_LENGTH = 120;
+const FRAME_GRAPH_MIN_RANGE = 33;
+// Solver iterations listed under the pressure total before the rest are counted
+const PROFILE_SOLVER_ROWS = 8;
+
+// Time scales the [ and ] shortcuts move between
+const TIME_SCALE_STEPS = [0.05, 0.1, 0.25, 0.5, 1, 1.5, 2];
+
+// Where relay.mjs listens unless told otherwise
+const COLLAB_DEFAULT_PORT = 8787;
+
+// ===== UI Controls =====
+class UIController {
+    constructor(simulation, presets, palettes, audio, collab) {
+        this.sim = simulation;
+        this.presets = presets;
+        this.palettes = palettes;
+        this.audio = audio;
+        this.collab = collab;
+        // Colors in the palette editor; applied live when editing a custom scheme
+        this.paletteDraft = [];
+        this.stats = {
+            fps: 60,
+            lastTime: performance.now(),
+            frames: 0,
+            // Recent frame times (ms) for the graph, oldest first
+            frameTimes: []
+        };
+
+        this.initParameterPanel();
+        this.initControls();
+        this.initPresetControls();
+        this.initPaletteEditor();
+        this.initDisplayControls();
+        this.initEmitterControls();
+        this.initAudioControls();
+        this.initMediaControls();
+        this.initClockControls();
+        this.initCollabControls();
+        this.initStats();
+    }
+
+    // Pushes the current config back into every control, e.g. after a preset loads
+    syncControls() {
+        const config = this.sim.config;
+
+        this.parameterControls.forEach((control, key) => control.update(config[key]));
+
+        this.renderSchemeButtons();
+        this.loadPaletteEditor(config.colorScheme);
+
+        // Presets may carry resolutions that match none of the menu entries
+        const quality = Object.keys(QUALITY_LEVELS).find(name =>
+            QUALITY_LEVELS[name].simResolution === config.simResolution &&
+            QUALITY_LEVELS[name].dyeResolution === config.dyeResolution
+        );
+        document.getElementById('quality').value = quality || 'custom';
+    }
+
+    // ===== Parameter Panel =====
+    // Builds one control per entry in PARAMETERS (params.js) into the
+    // .param-group element of its group; groups with no element in the page
+    // get one after the last. Hand-written content in a group stays first,
+    // unless the group has a .param-list to put the controls in.
+    initParameterPanel() {
+        // key -> { param, update(value) }
+        this.parameterControls = new Map();
+        // Elements whose text follows the panel language, and their labels
+        this.translations = [];
+
+        const saved = this.readPanelSettings();
+        this.language = LANGUAGES.includes(saved.language) ? saved.language : 'both';
+        this.collapsedGroups = new Set(Array.isArray(saved.collapsed) ? saved.collapsed : []);
+
+        const panel = document.querySelector('.control-panel');
+        PARAMETER_GROUPS.forEach(group => {
+            const params = PARAMETERS.filter(param => param.group === group.key);
+            let element = panel.querySelector(`.param-group[data-group="${group.key}"]`);
+            if (!element && params.length === 0) return;
+            if (!element) {
+                element = document.createElement('div');
+                element.className = 'param-group';
+                element.dataset.group = group.key;
+                const groups = panel.querySelectorAll('.param-group');
+                groups[groups.length - 1].after(element);
+            }
+
+            const body = document.createElement('div');
+            body.className = 'param-group-body';
+            body.append(...element.childNodes);
+            const list = body.querySelector('.param-list') || body;
+            params.forEach(param => list.appendChild(this.createParameterControl(param)));
+
+            const header = document.createElement('button');
+            header.className = 'param-group-header';
+            header.appendChild(this.translated(document.createElement('span'), group.label));
+            header.addEventListener('click', () => {
+                if (this.collapsedGroups.has(group.key)) this.collapsedGroups.delete(group.key);
+                else this.collapsedGroups.add(group.key);
+                this.refreshGroup(element);
+                this.writePanelSettings();
+            });
+
+            element.replaceChildren(header, body);
+            this.refreshGroup(element);
+        });
+
+        document.querySelectorAll('.language-switch [data-language]').forEach(btn => {
+            btn.addEventListener('click', () => this.setLanguage(btn.dataset.language));
+        });
+        this.setLanguage(this.language);
+    }
+
+    createParameterControl(param) {
+        const defaults = this.presets.defaults;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-group param';
+
+        const row = document.createElement('div');
+        row.className = 'param-row';
+        const label = this.translated(document.createElement('label'), param.label);
+        label.className = 'label-text';
+        label.htmlFor = param.key;
+        row.appendChild(label);
+
+        let input;
+        let entry = null;
+        if (param.type === 'range') {
+            input = document.createElement('input');
+            input.type = 'range';
+            entry = document.createElement('input');
+            entry.type = 'number';
+            entry.className = 'value-input';
+            [input, entry].forEach(element => {
+                element.min = param.min;
+                element.max = param.max;
+                element.step = param.step;
+            });
+            entry.setAttribute('aria-label', param.label.en);
+            row.appendChild(entry);
+            if (param.unit) {
+                const unit = document.createElement('span');
+                unit.className = 'param-unit';
+                unit.textContent = param.unit;
+                row.appendChild(unit);
+            }
+
+            input.addEventListener('input', () => {
+                this.setParameter(param.key, fromDisplayValue(param, parseFloat(input.value)));
+            });
+            // Typed values may fall between slider steps, but not outside the range
+            entry.addEventListener('change', () => {
+                let value = parseFloat(entry.value);
+                if (!Number.isFinite(value)) {
+                    this.parameterControls.get(param.key).update(this.sim.config[param.key]);
+                    return;
+                }
+                value = Math.min(Math.max(value, param.min), param.max);
+                if (Number.isInteger(param.step)) value = Math.round(value);
+                this.setParameter(param.key, fromDisplayValue(param, value));
+            });
+        } else if (param.type === 'toggle') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            row.appendChild(input);
+            input.addEventListener('change', () => this.setParameter(param.key, input.checked));
+        } else if (param.type === 'select') {
+            input = document.createElement('select');
+            input.className = 'quality-select';
+            param.options.forEach(option => {
+                const element = this.translated(document.createElement('option'), option.label);
+                element.value = String(option.value);
+                input.appendChild(element);
+            });
+            // Option values are strings; the schema keeps the typed ones
+            input.addEventListener('change', () => {
+                this.setParameter(param.key, param.options[input.selectedIndex].value);
+            });
+        } else if (param.type === 'color') {
+            input = document.createElement('input');
+            input.type = 'color';
+            row.appendChild(input);
+            input.addEventListener('input', () => this.setParameter(param.key, hexToColor(input.value)));
+        } else {
+            throw new Error(`Unknown parameter type for ${param.key}: ${param.type}`);
+        }
+        input.id = param.key;
+
+        const reset = document.createElement('button');
+        reset.className = 'reset-btn';
+        reset.textContent = '↺';
+        reset.title = '恢复默认 Reset to default';
+        reset.addEventListener('click', () => {
+            const value = defaults[param.key];
+            this.setParameter(param.key, typeof value === 'object' ? { ...value } : value);
+        });
+        row.appendChild(reset);
+
+        wrapper.appendChild(row);
+        if (param.type === 'range' || param.type === 'select') wrapper.appendChild(input);
+
+        if (param.requires && !this.sim[param.requires]) {
+            input.disabled = true;
+            input.title = '此设备不支持 Not supported on this device';
+        }
+
+        const update = (value) => {
+            if (param.type === 'range') {
+                const shown = formatNumber(toDisplayValue(param, value));
+                input.value = shown;
+                // Leave the box alone while someone is typing in it
+                if (document.activeElement !== entry) entry.value = shown;
+            } else if (param.type === 'toggle') {
+                input.checked = !!value;
+            } else if (param.type === 'select') {
+                input.selectedIndex = param.options.findIndex(option => option.value === value);
+            } else {
+                input.value = colorToHex(value);
+            }
+            reset.disabled = param.type === 'color'
+                ? colorToHex(value) === colorToHex(defaults[param.key])
+                : value === defaults[param.key];
+        };
+        update(this.sim.config[param.key]);
+        this.parameterControls.set(param.key, { param, update });
+        return wrapper;
+    }
+
+    // Sets one schema parameter and refreshes its control
+    setParameter(key, value) {
+        this.sim.applyConfig({ [key]: value });
+        this.parameterControls.get(key).update(value);
+        if (key === 'colorGradient') this.renderPalettePreview();
+    }
+
+    setLanguage(language) {
+        this.language = language;
+        this.translations.forEach(({ element, label }) => {
+            element.textContent = translate(label, language);
+        });
+        document.querySelectorAll('.language-switch [data-language]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.language === language);
+        });
+        this.writePanelSettings();
+    }
+
+    // Sets element's text to label now and whenever the language changes
+    translated(element, label) {
+        element.textContent = translate(label, this.language);
+        this.translations.push({ element, label });
+        return element;
+    }
+
+    refreshGroup(element) {
+        const collapsed = this.collapsedGroups.has(element.dataset.group);
+        element.classList.toggle('collapsed', collapsed);
+        element.querySelector('.param-group-header').setAttribute('aria-expanded', String(!collapsed));
+    }
+
+    readPanelSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(PANEL_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Panel settings are unreadable, using defaults:', err);
+            return {};
+        }
+    }
+
+    writePanelSettings() {
+        localStorage.setItem(PANEL_STORAGE_KEY, JSON.stringify({
+            language: this.language,
+            collapsed: [...this.collapsedGroups]
+        }));
+    }
+
+    // One button per custom palette after the built-in ones
+    renderSchemeButtons() {
+        const container = document.querySelector('.scheme-buttons');
+        container.querySelectorAll('.scheme-btn.custom').forEach(btn => btn.remove());
+
+        Object.keys(this.sim.colorSchemes)
+            .filter(name => !this.sim.isBuiltInColorScheme(name))
+            .forEach(name => {
+                const btn = document.createElement('button');
+                btn.className = 'scheme-btn custom';
+                btn.dataset.scheme = name;
+                btn.textContent = name;
+                container.appendChild(btn);
+            });
+
+        container.querySelectorAll('.scheme-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.scheme === this.sim.config.colorScheme);
+        });
+    }
+
+    initPaletteEditor() {
+        const nameInput = document.getElementById('paletteName');
+        const text = document.getElementById('paletteText');
+        const importInput = document.getElementById('paletteImportInput');
+        const status = document.getElementById('paletteStatus');
+
+        const showStatus = (message, isError = false) => {
+            status.textContent = message;
+            status.classList.toggle('error', isError);
+        };
+
+        // Parsed colors replace the draft; they only reach the simulation once saved
+        const loadParsed = (parsed) => {
+            this.paletteDraft = parsed.colors;
+            if (parsed.name) nameInput.value = parsed.name;
+            this.renderPaletteStops();
+            showStatus(`${parsed.colors.length} 种颜色，保存后使用 colors loaded, save to use`);
+        };
+
+        document.getElementById('paletteAddStopBtn').addEventListener('click', () => {
+            const last = this.paletteDraft[this.paletteDraft.length - 1];
+            this.paletteDraft.push({ ...last });
+            this.renderPaletteStops();
+            this.applyPaletteDraft();
+        });
+
+        document.getElementById('paletteSaveBtn').addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                showStatus('请输入名称 Enter a name', true);
+                return;
+            }
+            if (this.sim.isBuiltInColorScheme(name)) {
+                showStatus('内置方案不可覆盖 Built-in schemes are read-only', true);
+                return;
+            }
+            this.palettes.save(name, this.paletteDraft);
+            this.sim.config.colorScheme = name;
+            this.renderSchemeButtons();
+            showStatus(`已保存 Saved "${name}"`);
+        });
+
+        document.getElementById('paletteDeleteBtn').addEventListener('click', () => {
+            const name = this.sim.config.colorScheme;
+            if (this.sim.isBuiltInColorScheme(name)) {
+                showStatus('内置方案不可删除 Built-in schemes can\'t be deleted', true);
+                return;
+            }
+            this.palettes.remove(name);
+            this.renderSchemeButtons();
+            this.loadPaletteEditor(this.sim.config.colorScheme);
+            showStatus(`已删除 Deleted "${name}"`);
+        });
+
+        document.getElementById('paletteExportBtn').addEventListener('click', () => {
+            const name = nameInput.value.trim() || this.sim.config.colorScheme;
+            downloadBlob(this.palettes.exportBlob(name, this.paletteDraft), `palette-${name}.json`);
+        });
+
+        document.getElementById('paletteCopyCssBtn').addEventListener('click', () => {
+            text.value = this.palettes.toCss(this.paletteDraft);
+            if (!navigator.clipboard) return;
+            navigator.clipboard.writeText(text.value)
+                .then(() => showStatus('已复制 Copied'))
+                .catch(() => showStatus('复制失败，请手动复制 Copy failed, copy from the box', true));
+        });
+
+        document.getElementById('paletteParseBtn').addEventListener('click', () => {
+            try {
+                loadParsed(this.palettes.parse(text.value));
+            } catch (err) {
+                showStatus(err.message, true);
+            }
+        });
+
+        document.getElementById('paletteImportBtn').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            file.text()
+                .then(content => loadParsed(this.palettes.parse(content, file.name.replace(/\.[^.]+$/, ''))))
+                .catch(err => showStatus(err.message, true));
+            importInput.value = '';
+        });
+    }
+
+    // Copies a scheme into the editor; built-ins start an unnamed draft
+    loadPaletteEditor(name) {
+        const scheme = this.sim.colorSchemes[name] || [];
+        this.paletteDraft = scheme.map(c => ({ ...c }));
+        document.getElementById('paletteName').value = this.sim.isBuiltInColorScheme(name) ? '' : name;
+        this.renderPaletteStops();
+    }
+
+    renderPaletteStops() {
+        const container = document.getElementById('paletteStops');
+        container.innerHTML = '';
+
+        this.paletteDraft.forEach((color, i) => {
+            const stop = document.createElement('div');
+            stop.className = 'palette-stop';
+
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.value = colorToHex(color);
+            picker.addEventListener('input', () => {
+                this.paletteDraft[i] = hexToColor(picker.value);
+                this.applyPaletteDraft();
+            });
+            stop.appendChild(picker);
+
+            if (this.paletteDraft.length > 1) {
+                const remove = document.createElement('button');
+                remove.textContent = '×';
+                remove.title = '移除 Remove';
+                remove.addEventListener('click', () => {
+                    this.paletteDraft.splice(i, 1);
+                    this.renderPaletteStops();
+                    this.applyPaletteDraft();
+                });
+                stop.appendChild(remove);
+            }
+
+            container.appendChild(stop);
+        });
+
+        this.renderPalettePreview();
+    }
+
+    // Edits to a custom scheme show up immediately; built-ins stay untouched
+    applyPaletteDraft() {
+        const name = this.sim.config.colorScheme;
+        if (!this.sim.isBuiltInColorScheme(name)) {
+            this.palettes.save(name, this.paletteDraft);
+        }
+        this.renderPalettePreview();
+    }
+
+    renderPalettePreview() {
+        const colors = this.paletteDraft.map(colorToHex);
+        const preview = document.getElementById('palettePreview');
+        if (colors.length === 1) {
+            preview.style.background = colors[0];
+        } else if (this.sim.config.colorGradient) {
+            preview.style.background = `linear-gradient(90deg, ${colors.join(', ')})`;
+        } else {
+            // Hard stops, matching how discrete palettes are sampled
+            const step = 100 / colors.length;
+            const stops = colors.map((c, i) => `${c} ${i * step}% ${(i + 1) * step}%`);
+            preview.style.background = `linear-gradient(90deg, ${stops.join(', ')})`;
+        }
+    }
+
+    // Range legend and hover probe for the field view
+    initDisplayControls() {
+        const legend = document.getElementById('displayLegend');
+        const probeToggle = document.getElementById('probeToggle');
+        const tooltip = document.getElementById('probeTooltip');
+        const canvas = this.sim.canvas;
+        let hover = null;
+        let frame = 0;
+
+        canvas.addEventListener('mousemove', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            hover = {
+                clientX: e.clientX,
+                clientY: e.clientY,
+                x: (e.clientX - rect.left) * canvas.width / rect.width,
+                y: (e.clientY - rect.top) * canvas.height / rect.height
+            };
+        });
+        canvas.addEventListener('mouseleave', () => {
+            hover = null;
+            tooltip.classList.remove('active');
+        });
+        probeToggle.addEventListener('change', () => {
+            if (!probeToggle.checked) tooltip.classList.remove('active');
+        });
+
+        this.sim.on('frame', () => {
+            const mode = this.sim.config.displayMode;
+            const range = this.sim.displayRange.value;
+            const scalar = mode !== 'dye' && !mode.startsWith('velocity');
+            legend.textContent = mode === 'dye' ? '' : `量程 Range ${scalar ? '±' : '0 – '}${formatValue(range)}`;
+
+            // Probing stalls the GPU pipeline, so only every few frames
+            if (!probeToggle.checked || !hover || frame++ % 4 !== 0) return;
+            const values = this.sim.probeFields(hover.x, hover.y);
+            tooltip.textContent = [
+                `velocity  ${formatValue(values.velocity[0])}, ${formatValue(values.velocity[1])}`,
+                `pressure  ${formatValue(values.pressure)}`,
+                `curl      ${formatValue(values.curl)}`,
+                `divergence ${formatValue(values.divergence)}`
+            ].join('\n');
+            tooltip.style.left = hover.clientX + 16 + 'px';
+            tooltip.style.top = hover.clientY + 16 + 'px';
+            tooltip.classList.add('active');
+        });
+    }
+
+    // Emitter handles float over the canvas: drag the dot to move an emitter,
+    // drag the knob to aim a jet, double-click the dot or press Delete to remove it
+    initEmitterControls() {
+        const layer = document.getElementById('emitterLayer');
+        const editor = document.getElementById('emitterEditor');
+        const toolButtons = document.querySelectorAll('.tool-btn[data-emitter]');
+        const colorSource = document.getElementById('emitterColorSource');
+        const colorPicker = document.getElementById('emitterColor');
+        const sliders = {
+            emitterRate: 'rate',
+            emitterRadius: 'radius',
+            emitterAngle: 'angle',
+            emitterFrequency: 'frequency',
+            emitterAmplitude: 'amplitude'
+        };
+        // The radius slider reads like the brush size one
+        const sliderParams = { radius: PARAMETERS.find(param => param.key === 'splatRadius') };
+        const toSlider = (key, value) => sliderParams[key] ? toDisplayValue(sliderParams[key], value) : value;
+        const fromSlider = (key, value) => sliderParams[key] ? fromDisplayValue(sliderParams[key], value) : value;
+        const handles = new Map();
+        let selected = null;
+
+        const update = (changes) => {
+            if (selected !== null) this.sim.updateEmitter(selected, changes);
+        };
+
+        const loadEditor = (emitter) => {
+            document.getElementById('emitterType').value = emitter.type;
+            document.getElementById('emitterOscillation').value = emitter.oscillation;
+            for (const id in sliders) {
+                const slider = document.getElementById(id);
+                slider.value = formatNumber(toSlider(sliders[id], emitter[sliders[id]]));
+                document.getElementById(id + '-value').textContent = slider.value;
+            }
+            const custom = typeof emitter.color === 'object';
+            colorSource.value = custom ? 'custom' : emitter.color;
+            if (custom) colorPicker.value = colorToHex(emitter.color);
+        };
+
+        const select = (id) => {
+            selected = id;
+            handles.forEach((handle, key) => handle.classList.toggle('selected', key === id));
+            const emitter = this.sim.emitters.find(e => e.id === id);
+            editor.hidden = !emitter;
+            if (emitter) loadEditor(emitter);
+        };
+
+        // Pointer capture keeps the drag alive when it outruns the handle
+        const startDrag = (e, id, move) => {
+            e.preventDefault();
+            e.stopPropagation();
+            select(id);
+            const target = e.currentTarget;
+            target.setPointerCapture(e.pointerId);
+
+            const onMove = (event) => {
+                const rect = this.sim.canvas.getBoundingClientRect();
+                move((event.clientX - rect.left) / rect.width, (event.clientY - rect.top) / rect.height, rect);
+            };
+            const onEnd = () => {
+                target.removeEventListener('pointermove', onMove);
+                target.removeEventListener('pointerup', onEnd);
+                target.removeEventListener('pointercancel', onEnd);
+            };
+            target.addEventListener('pointermove', onMove);
+            target.addEventListener('pointerup', onEnd);
+            target.addEventListener('pointercancel', onEnd);
+        };
+
+        const createHandle = (id) => {
+            const handle = document.createElement('div');
+            handle.className = 'emitter-handle';
+            handle.innerHTML = '<div class="emitter-aim"><div class="emitter-knob"></div></div>' +
+                '<div class="emitter-dot"></div>';
+
+            const dot = handle.querySelector('.emitter-dot');
+            dot.addEventListener('pointerdown', (e) => startDrag(e, id, (x, y) => {
+                this.sim.updateEmitter(id, {
+                    x: Math.min(Math.max(x, 0), 1),
+                    y: Math.min(Math.max(y, 0), 1)
+                });
+            }));
+            dot.addEventListener('dblclick', () => this.sim.removeEmitter(id));
+
+            handle.querySelector('.emitter-knob').addEventListener('pointerdown', (e) => startDrag(e, id, (x, y, rect) => {
+                const emitter = this.sim.emitters.find(em => em.id === id);
+                const angle = Math.atan2(-(y - emitter.y) * rect.height, (x - emitter.x) * rect.width) * 180 / Math.PI;
+                this.sim.updateEmitter(id, { angle: Math.round((angle + 360) % 360) });
+            }));
+            return handle;
+        };
+
+        // Updates handles in place so a drag in progress keeps its element
+        const render = () => {
+            const rect = this.sim.canvas.getBoundingClientRect();
+            const ids = new Set();
+            this.sim.emitters.forEach(emitter => {
+                ids.add(emitter.id);
+                let handle = handles.get(emitter.id);
+                if (!handle) {
+                    handle = createHandle(emitter.id);
+                    handles.set(emitter.id, handle);
+                    layer.appendChild(handle);
+                }
+                // The ring marks where the splat falls to 1/e
+                const size = 2 * Math.sqrt(emitter.radius) * rect.height;
+                handle.dataset.type = emitter.type;
+                handle.style.left = rect.left + emitter.x * rect.width + 'px';
+                handle.style.top = rect.top + emitter.y * rect.height + 'px';
+                handle.style.width = size + 'px';
+                handle.style.height = size + 'px';
+                handle.querySelector('.emitter-aim').style.transform = `rotate(${-emitter.angle}deg)`;
+            });
+            handles.forEach((handle, id) => {
+                if (ids.has(id)) return;
+                handle.remove();
+                handles.delete(id);
+            });
+        };
+
+        this.sim.on('emitters', () => {
+            render();
+            // A freshly placed emitter is ready to edit
+            const placement = this.sim.emitterPlacement;
+            if (placement) selected = placement.id;
+            if (selected !== null && !handles.has(selected)) selected = null;
+            select(selected);
+        });
+        this.sim.on('resize', render);
+
+        toolButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const type = this.sim.emitterTool === btn.dataset.emitter ? null : btn.dataset.emitter;
+                this.sim.emitterTool = type;
+                toolButtons.forEach(b => b.classList.toggle('active', b.dataset.emitter === type));
+                if (!type) return;
+                // Placing emitters takes over from any obstacle tool
+                this.sim.obstacleTool = null;
+                document.querySelectorAll('.tool-btn[data-tool]').forEach(b => {
+                    b.classList.toggle('active', !b.dataset.tool);
+                });
+            });
+        });
+
+        ['emitterType', 'emitterOscillation'].forEach(id => {
+            const key = id === 'emitterType' ? 'type' : 'oscillation';
+            document.getElementById(id).addEventListener('change', (e) => update({ [key]: e.target.value }));
+        });
+        for (const id in sliders) {
+            document.getElementById(id).addEventListener('input', (e) => {
+                update({ [sliders[id]]: fromSlider(sliders[id], parseFloat(e.target.value)) });
+            });
+        }
+        const updateColor = () => {
+            const source = colorSource.value;
+            update({ color: EMITTER_COLOR_SOURCES.includes(source) ? source : hexToColor(colorPicker.value) });
+        };
+        colorSource.addEventListener('change', updateColor);
+        colorPicker.addEventListener('input', () => {
+            colorSource.value = 'custom';
+            updateColor();
+        });
+
+        document.getElementById('emitterDeleteBtn').addEventListener('click', () => {
+            if (selected !== null) this.sim.removeEmitter(selected);
+        });
+        document.getElementById('clearEmittersBtn').addEventListener('click', () => {
+            this.sim.clearEmitters();
+        });
+        document.getElementById('emitterHandles').addEventListener('change', (e) => {
+            layer.hidden = !e.target.checked;
+        });
+        document.addEventListener('keydown', (e) => {
+            if (selected === null || (e.key !== 'Delete' && e.key !== 'Backspace')) return;
+            if (e.target.closest && e.target.closest('input, select, textarea')) return;
+            this.sim.removeEmitter(selected);
+        });
+    }
+
+    // Audio source buttons, live band meters and the band -> target mapping.
+    // The mapping and settings are remembered between visits.
+    initAudioControls() {
+        const audio = this.audio;
+        const status = document.getElementById('audioStatus');
+        const fileInput = document.getElementById('audioFileInput');
+        const meters = document.querySelectorAll('.audio-meter');
+        const settingSliders = {
+            audioGain: 'gain',
+            audioSensitivity: 'sensitivity',
+            audioForceScale: 'force',
+            audioSplats: 'splats'
+        };
+        const mappingSelect = (target) => document.getElementById('audio' + target[0].toUpperCase() + target.slice(1));
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY)) || {};
+            AUDIO_TARGETS.forEach(target => {
+                if (saved.mapping && AUDIO_SOURCES.includes(saved.mapping[target])) {
+                    audio.mapping[target] = saved.mapping[target];
+                }
+            });
+            for (const key in audio.settings) {
+                if (saved.settings && Number.isFinite(saved.settings[key])) audio.settings[key] = saved.settings[key];
+            }
+        } catch (err) {
+            console.warn('Audio settings are unreadable, using defaults:', err);
+        }
+        const save = () => {
+            localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify({ mapping: audio.mapping, settings: audio.settings }));
+        };
+
+        AUDIO_TARGETS.forEach(target => {
+            const select = mappingSelect(target);
+            select.value = audio.mapping[target];
+            select.addEventListener('change', (e) => {
+                audio.mapping[target] = e.target.value;
+                save();
+            });
+        });
+        for (const id in settingSliders) {
+            const slider = document.getElementById(id);
+            const value = document.getElementById(id + '-value');
+            slider.value = audio.settings[settingSliders[id]];
+            value.textContent = slider.value;
+            slider.addEventListener('input', (e) => {
+                audio.settings[settingSliders[id]] = parseFloat(e.target.value);
+                value.textContent = e.target.value;
+                save();
+            });
+        }
+
+        const report = (promise, message) => {
+            status.textContent = '…';
+            promise
+                .then(() => { status.textContent = message; })
+                .catch(err => {
+                    audio.stop();
+                    status.textContent = err.message;
+                });
+        };
+
+        document.getElementById('audioFileBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            report(audio.loadFile(file), `播放 Playing ${file.name}`);
+            fileInput.value = '';
+        });
+        document.getElementById('audioMicBtn').addEventListener('click', () => {
+            report(audio.useMicrophone(), '麦克风 Listening');
+        });
+        document.getElementById('audioStopBtn').addEventListener('click', () => {
+            audio.stop();
+            status.textContent = '';
+        });
+
+        this.sim.on('frame', () => {
+            meters.forEach(meter => {
+                const source = meter.dataset.source;
+                meter.querySelector('.meter-fill').style.width = audio.levels[source] * 100 + '%';
+                meter.classList.toggle('beat', !!audio.beats[source]);
+            });
+        });
+    }
+
+    // An image paints the dye once; a video keeps feeding the dye or velocity.
+    // Either can also be dropped straight onto the canvas.
+    initMediaControls() {
+        const status = document.getElementById('mediaStatus');
+        const imageInput = document.getElementById('mediaImageInput');
+        const videoInput = document.getElementById('mediaVideoInput');
+        const strengthValue = document.getElementById('mediaStrength-value');
+        let video = null;
+
+        const options = () => ({
+            fit: document.getElementById('mediaFit').value,
+            blend: document.getElementById('mediaBlend').value,
+            strength: parseFloat(document.getElementById('mediaStrength').value)
+        });
+        const videoOptions = () => Object.assign({ target: document.getElementById('mediaTarget').value }, options());
+
+        const loadImage = (file) => {
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(image.src);
+                try {
+                    this.sim.loadDyeImage(image, options());
+                    status.textContent = `图像 Image ${file.name}`;
+                } catch (err) {
+                    status.textContent = err.message;
+                }
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(image.src);
+                status.textContent = `无法读取 Can't read ${file.name}`;
+            };
+            image.src = URL.createObjectURL(file);
+        };
+
+        const stopVideo = () => {
+            if (!video) return;
+            this.sim.clearMediaSource();
+            video.pause();
+            URL.revokeObjectURL(video.src);
+            video = null;
+        };
+
+        const loadVideo = (file) => {
+            stopVideo();
+            const element = document.createElement('video');
+            element.muted = true;
+            element.loop = true;
+            element.playsInline = true;
+            element.src = URL.createObjectURL(file);
+            video = element;
+            this.sim.setMediaSource(element, videoOptions());
+
+            element.play()
+                .then(() => { status.textContent = `视频 Video ${file.name}`; })
+                .catch(err => {
+                    // Only tear down if this is still the current video
+                    if (video === element) stopVideo();
+                    status.textContent = err.message;
+                });
+        };
+
+        const loadFile = (file) => {
+            if (file.type.startsWith('image/')) loadImage(file);
+            else if (file.type.startsWith('video/')) loadVideo(file);
+            else status.textContent = `不支持 Unsupported: ${file.name}`;
+        };
+
+        document.getElementById('mediaImageBtn').addEventListener('click', () => imageInput.click());
+        document.getElementById('mediaVideoBtn').addEventListener('click', () => videoInput.click());
+        [imageInput, videoInput].forEach(input => {
+            input.addEventListener('change', () => {
+                if (input.files[0]) loadFile(input.files[0]);
+                input.value = '';
+            });
+        });
+        document.getElementById('mediaStopBtn').addEventListener('click', () => {
+            stopVideo();
+            status.textContent = '';
+        });
+
+        // Changes reach a running video right away
+        const updateVideo = () => {
+            if (video) this.sim.setMediaSource(video, videoOptions());
+        };
+        ['mediaTarget', 'mediaFit', 'mediaBlend'].forEach(id => {
+            document.getElementById(id).addEventListener('change', updateVideo);
+        });
+        document.getElementById('mediaStrength').addEventListener('input', (e) => {
+            strengthValue.textContent = e.target.value;
+            updateVideo();
+        });
+
+        const canvas = this.sim.canvas;
+        canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file) loadFile(file);
+        });
+    }
+
+    // Pause, single step and time scale, from the panel or the keyboard:
+    // Space pauses and resumes, . steps, [ and ] slow down and speed up
+    initClockControls() {
+        const pauseBtn = document.getElementById('pauseBtn');
+
+        const togglePause = () => {
+            if (this.sim.paused) this.sim.start();
+            else this.sim.pause();
+            refresh();
+        };
+        const stepForward = () => {
+            this.sim.stepForward();
+            refresh();
+        };
+        const setTimeScale = (value) => this.setParameter('timeScale', value);
+        const refresh = () => {
+            pauseBtn.textContent = this.sim.paused ? '继续 Resume' : '暂停 Pause';
+            pauseBtn.classList.toggle('active', this.sim.paused);
+        };
+
+        pauseBtn.addEventListener('click', togglePause);
+        document.getElementById('stepBtn').addEventListener('click', stepForward);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+            const scale = this.sim.config.timeScale;
+            if (e.key === ' ') {
+                // Not a click on the focused button, nor a page scroll
+                e.preventDefault();
+                togglePause();
+            } else if (e.key === '.') {
+                stepForward();
+            } else if (e.key === '[') {
+                const slower = TIME_SCALE_STEPS.filter(step => step < scale);
+                if (slower.length) setTimeScale(slower[slower.length - 1]);
+            } else if (e.key === ']') {
+                const faster = TIME_SCALE_STEPS.find(step => step > scale);
+                if (faster !== undefined) setTimeScale(faster);
+            }
+        });
+    }
+
+    // Joins a room on a relay.mjs server. Everyone else's cursor is drawn over
+    // the canvas, and config changes they make refresh the panel.
+    initCollabControls() {
+        const collab = this.collab;
+        const layer = document.getElementById('collabLayer');
+        const urlInput = document.getElementById('collabUrl');
+        const nameInput = document.getElementById('collabName');
+        const colorPicker = document.getElementById('collabColor');
+        const connectBtn = document.getElementById('collabConnectBtn');
+        const resyncBtn = document.getElementById('collabResyncBtn');
+        const status = document.getElementById('collabStatus');
+        const peerList = document.getElementById('collabPeers');
+        const cursors = new Map();
+
+        // The last server, name and color; first-time visitors get a random hue
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(COLLAB_STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Collaboration settings are unreadable, using defaults:', err);
+        }
+        urlInput.value = saved.url || `ws://${window.location.hostname || 'localhost'}:${COLLAB_DEFAULT_PORT}/workshop`;
+        nameInput.value = saved.name || '';
+        colorPicker.value = saved.color || colorToHex(hslToColor(Math.random() * 360, 1, 0.55));
+
+        const swatch = (color) => {
+            const element = document.createElement('span');
+            element.className = 'peer-swatch';
+            if (color) element.style.background = colorToHex(color);
+            return element;
+        };
+
+        const renderPeers = () => {
+            peerList.replaceChildren(...[...collab.peers.values()].map(peer => {
+                const item = document.createElement('li');
+                item.append(swatch(peer.color), peer.name);
+                return item;
+            }));
+        };
+
+        const renderCursors = () => {
+            const rect = this.sim.canvas.getBoundingClientRect();
+            collab.peers.forEach(peer => {
+                let cursor = cursors.get(peer.id);
+                if (!peer.cursor) {
+                    if (cursor) cursor.remove();
+                    cursors.delete(peer.id);
+                    return;
+                }
+                if (!cursor) {
+                    cursor = document.createElement('div');
+                    cursor.className = 'peer-cursor';
+                    cursor.append(swatch(peer.color), peer.name);
+                    layer.appendChild(cursor);
+                    cursors.set(peer.id, cursor);
+                }
+                cursor.style.left = rect.left + peer.cursor.x * rect.width + 'px';
+                cursor.style.top = rect.top + peer.cursor.y * rect.height + 'px';
+            });
+            cursors.forEach((cursor, id) => {
+                if (collab.peers.has(id)) return;
+                cursor.remove();
+                cursors.delete(id);
+            });
+        };
+
+        const renderStatus = () => {
+            const connected = collab.connected;
+            connectBtn.textContent = connected ? '离开 Leave' : collab.status === 'connecting' ? '取消 Cancel' : '加入 Join';
+            connectBtn.classList.toggle('active', connected);
+            resyncBtn.hidden = !connected;
+            [urlInput, nameInput, colorPicker].forEach(input => { input.disabled = collab.status !== 'disconnected'; });
+
+            status.classList.toggle('drift', collab.drift);
+            if (collab.drift) {
+                status.textContent = '不同步 Out of sync, try Resync';
+            } else if (connected) {
+                status.textContent = `已连接 Connected · ${collab.peers.size + 1} 人 people`;
+            } else if (collab.status === 'connecting') {
+                status.textContent = '连接中 Connecting…';
+            } else {
+                status.textContent = '未连接 Not connected';
+            }
+        };
+
+        collab.onChange = (reason) => {
+            if (reason === 'cursors') {
+                renderCursors();
+            } else if (reason === 'config') {
+                this.syncControls();
+            } else {
+                renderPeers();
+                renderCursors();
+                renderStatus();
+            }
+        };
+        this.sim.on('resize', renderCursors);
+
+        connectBtn.addEventListener('click', () => {
+            if (collab.status !== 'disconnected') {
+                collab.disconnect();
+                return;
+            }
+            const settings = { url: urlInput.value.trim(), name: nameInput.value.trim(), color: colorPicker.value };
+            localStorage.setItem(COLLAB_STORAGE_KEY, JSON.stringify(settings));
+            collab.connect(settings.url, { name: settings.name, color: hexToColor(settings.color) })
+                .catch(err => {
+                    renderStatus();
+                    status.textContent = err.message;
+                });
+        });
+        resyncBtn.addEventListener('click', () => collab.resync());
+
+        renderStatus();
+    }
+
+    initPresetControls() {
+        const nameInput = document.getElementById('presetName');
+        const list = document.getElementById('presetList');
+        const status = document.getElementById('presetStatus');
+        const importInput = document.getElementById('presetImportInput');
+
+        const showStatus = (message, isError = false) => {
+            status.textContent = message;
+            status.classList.toggle('error', isError);
+        };
+
+        const refreshList = () => {
+            list.innerHTML = '';
+            this.presets.list().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                list.appendChild(option);
+            });
+        };
+
+        // Runs a preset action, then resyncs the panel or reports the failure
+        const attempt = (action, message) => {
+            try {
+                action();
+                this.syncControls();
+                showStatus(message);
+            } catch (err) {
+                showStatus(err.message, true);
+            }
+        };
+
+        document.getElementById('presetSaveBtn').addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                showStatus('请输入名称 Enter a name', true);
+                return;
+            }
+            this.presets.save(name);
+            refreshList();
+            list.value = name;
+            showStatus(`已保存 Saved "${name}"`);
+        });
+
+        document.getElementById('presetLoadBtn').addEventListener('click', () => {
+            if (!list.value) return;
+            attempt(() => this.presets.load(list.value), `已载入 Loaded "${list.value}"`);
+        });
+
+        document.getElementById('presetDeleteBtn').addEventListener('click', () => {
+            if (!list.value) return;
+            const name = list.value;
+            this.presets.remove(name);
+            refreshList();
+            showStatus(`已删除 Deleted "${name}"`);
+        });
+
+        document.getElementById('presetLinkBtn').addEventListener('click', () => {
+            history.replaceState(null, '', this.presets.toHash());
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(window.location.href)
+                    .then(() => showStatus('链接已复制 Link copied'))
+                    .catch(() => showStatus('链接已更新 Link updated in address bar'));
+            } else {
+                showStatus('链接已更新 Link updated in address bar');
+            }
+        });
+
+        document.getElementById('presetExportBtn').addEventListener('click', () => {
+            const name = nameInput.value.trim() || list.value || 'fluid';
+            downloadBlob(this.presets.exportBlob(name), `${name}.json`);
+        });
+
+        document.getElementById('presetImportBtn').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            this.presets.importFile(file)
+                .then(name => {
+                    this.syncControls();
+                    showStatus(`已导入 Imported ${name ? `"${name}"` : file.name}`);
+                })
+                .catch(err => showStatus(err.message, true));
+            importInput.value = '';
+        });
+
+        window.addEventListener('hashchange', () => {
+            attempt(() => this.presets.loadFromHash(), '已从链接载入 Loaded from link');
+        });
+
+        refreshList();
+    }
+
+    initControls() {
+        // Quality: grids are resampled in place, so the current flow survives
+        document.getElementById('quality').addEventListener('change', (e) => {
+            const level = QUALITY_LEVELS[e.target.value];
+            if (level) this.sim.applyConfig(level);
+        });
+
+        // Color schemes (custom palettes add their own buttons, so delegate)
+        document.querySelector('.scheme-buttons').addEventListener('click', (e) => {
+            const btn = e.target.closest('.scheme-btn');
+            if (!btn) return;
+            this.sim.config.colorScheme = btn.dataset.scheme;
+            this.renderSchemeButtons();
+            this.loadPaletteEditor(btn.dataset.scheme);
+        });
+
+        // Obstacle tools
+        const toolButtons = document.querySelectorAll('.tool-btn[data-tool]');
+        toolButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                toolButtons.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.sim.obstacleTool = btn.dataset.tool || null;
+                this.sim.emitterTool = null;
+                document.querySelectorAll('.tool-btn[data-emitter]').forEach(b => b.classList.remove('active'));
+            });
+        });
+
+        const obstacleImageInput = document.getElementById('obstacleImageInput');
+        document.getElementById('obstacleImageBtn').addEventListener('click', () => {
+            obstacleImageInput.click();
+        });
+        obstacleImageInput.addEventListener('change', () => {
+            const file = obstacleImageInput.files[0];
+            if (!file) return;
+            const image = new Image();
+            image.onload = () => {
+                this.sim.loadObstacleImage(image);
+                URL.revokeObjectURL(image.src);
+            };
+            image.src = URL.createObjectURL(file);
+            obstacleImageInput.value = '';
+        });
+
+        document.getElementById('clearObstaclesBtn').addEventListener('click', () => {
+            this.sim.clearObstacles();
+        });
+
+        // Capture
+        let snapshotScale = 1;
+        const scaleButtons = document.querySelectorAll('.scale-btn');
+        scaleButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                scaleButtons.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                snapshotScale = parseInt(btn.dataset.scale);
+            });
+        });
+
+        document.getElementById('snapshotBtn').addEventListener('click', () => {
+            this.sim.captureSnapshot(snapshotScale)
+                .then(blob => downloadBlob(blob, `fluid-${timestamp()}@${snapshotScale}x.png`))
+                .catch(err => console.error('Snapshot failed:', err));
+        });
+
+        const recordDurationSlider = document.getElementById('recordDuration');
+        const recordDurationValue = document.getElementById('recordDuration-value');
+        recordDurationSlider.addEventListener('input', (e) => {
+            recordDurationValue.textContent = e.target.value + 's';
+        });
+
+        const recordBtn = document.getElementById('recordBtn');
+        const recordLabel = recordBtn.querySelector('span');
+        recordBtn.addEventListener('click', () => {
+            if (this.sim.recording) {
+                this.sim.stopRecording();
+                return;
+            }
+
+            recordBtn.classList.add('recording');
+            const ticker = setInterval(() => {
+                if (!this.sim.recording) return;
+                const elapsed = (performance.now() - this.sim.recording.startTime) / 1000;
+                recordLabel.textContent = `停止 Stop ${elapsed.toFixed(0)}s`;
+            }, 250);
+
+            this.sim.startRecording({ maxDuration: parseInt(recordDurationSlider.value) })
+                .then(blob => {
+                    clearInterval(ticker);
+                    recordBtn.classList.remove('recording');
+                    recordLabel.textContent = '录制 Record';
+                    downloadBlob(blob, `fluid-${timestamp()}.webm`);
+                });
+        });
+
+        // Input recording & replay
+        const inputRecordBtn = document.getElementById('inputRecordBtn');
+        const inputReplayInput = document.getElementById('inputReplayInput');
+        const inputStatus = document.getElementById('inputStatus');
+        let lastRecording = null;
+
+        inputRecordBtn.addEventListener('click', () => {
+            if (this.sim.inputRecording) {
+                lastRecording = this.sim.stopInputRecording();
+                inputRecordBtn.classList.remove('recording');
+                inputRecordBtn.textContent = '录制输入 Record';
+                inputStatus.textContent = `${lastRecording.events.length} events / ${lastRecording.steps} steps`;
+            } else {
+                this.sim.startInputRecording();
+                inputRecordBtn.classList.add('recording');
+                inputRecordBtn.textContent = '停止 Stop';
+                inputStatus.textContent = `seed ${this.sim.seed}`;
+            }
+        });
+
+        document.getElementById('inputSaveBtn').addEventListener('click', () => {
+            if (!lastRecording) {
+                inputStatus.textContent = '尚无录制 Nothing recorded yet';
+                return;
+            }
+            const blob = new Blob([JSON.stringify(lastRecording)], { type: 'application/json' });
+            downloadBlob(blob, `fluid-input-${timestamp()}.json`);
+        });
+
+        document.getElementById('inputReplayBtn').addEventListener('click', () => {
+            inputReplayInput.click();
+        });
+        inputReplayInput.addEventListener('change', () => {
+            const file = inputReplayInput.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => {
+                    const recording = JSON.parse(text);
+                    this.sim.startReplay(recording);
+                    this.syncControls();
+                    inputRecordBtn.classList.remove('recording');
+                    inputRecordBtn.textContent = '录制输入 Record';
+                    inputStatus.textContent = `回放 Replaying ${recording.steps} steps`;
+                })
+                .catch(err => {
+                    inputStatus.textContent = err.message;
+                });
+            inputReplayInput.value = '';
+        });
+
+        // Clear button
+        document.getElementById('clearBtn').addEventListener('click', () => {
+            this.sim.clear();
+        });
+    }
+
+    // The stats panel follows the simulation's own frames
+    initStats() {
+        const statsDisplay = document.getElementById('stats');
+        document.getElementById('statsToggle').addEventListener('click', () => {
+            const visible = statsDisplay.classList.toggle('active');
+            // The residual costs a GPU readback, so it's only measured while
+            // the panel is visible
+            this.sim.config.measureResidual = visible;
+            // FPS counts from the moment the panel opens, not over the time it was hidden
+            if (visible) {
+                this.stats.frames = 0;
+                this.stats.lastTime = performance.now();
+            }
+        });
+
+        // Profiling stalls the pipeline where timer queries are missing, so
+        // it stays off until asked for
+        const profileToggle = document.getElementById('profileToggle');
+        profileToggle.checked = this.sim.config.profiling;
+        profileToggle.addEventListener('change', () => {
+            this.sim.config.profiling = profileToggle.checked;
+        });
+
+        document.getElementById('profileExportBtn').addEventListener('click', () => {
+            const profile = this.sim.exportProfile();
+            if (!profile) return;
+            const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+            downloadBlob(blob, `fluid-profile-${timestamp()}.json`);
+        });
+
+        this.sim.on('frame', () => this.updateStats());
+    }
+
+    updateStats() {
+        const stats = this.stats;
+        const now = performance.now();
+        stats.frames++;
+        stats.frameTimes.push(this.sim.frameStats.frameTime);
+        if (stats.frameTimes.length > FRAME_GRAPH_LENGTH) stats.frameTimes.shift();
+
+        if (!document.getElementById('stats').classList.contains('active')) return;
+        this.drawFrameGraph();
+
+        if (now < stats.lastTime + 1000) return;
+        const recent = stats.frameTimes.slice(-stats.frames);
+        const frameTime = recent.reduce((a, b) => a + b, 0) / recent.length;
+        stats.fps = Math.round((stats.frames * 1000) / (now - stats.lastTime));
+        stats.frames = 0;
+        stats.lastTime = now;
+
+        document.getElementById('fps').textContent = stats.fps;
+        document.getElementById('frameTime').textContent = frameTime.toFixed(1) + 'ms';
+
+        const grid = this.sim.velocity.read;
+        const level = this.sim.adaptiveLevel ? ` (-${this.sim.adaptiveLevel})` : '';
+        document.getElementById('gridSize').textContent = `${grid.width}×${grid.height}${level}`;
+
+        const solver = this.sim.solverStats;
+        const residual = solver.residual;
+        document.getElementById('solverPasses').textContent = `${solver.solver} ×${solver.passes}`;
+        document.getElementById('solverResidual').textContent = residual === null ? '-' : formatValue(residual);
+
+        document.getElementById('drawCalls').textContent = this.sim.frameStats.drawCalls;
+        document.getElementById('fboMemory').textContent = (this.sim.fboMemory / 1048576).toFixed(1) + ' MB';
+
+        const profile = this.sim.getProfile();
+        const passList = document.getElementById('statsPasses');
+        passList.textContent = '';
+        if (!profile || !profile.frames) {
+            document.getElementById('gpuTime').textContent = '-';
+            return;
+        }
+        document.getElementById('gpuTime').textContent = `${profile.gpuTime.toFixed(2)}ms ${profile.timing.toUpperCase()}`;
+
+        // The solver's iterations (or multigrid levels) are listed in order
+        // under a pressure total
+        const passes = {};
+        const solverPasses = [];
+        Object.keys(profile.passes).forEach(name => {
+            const pass = profile.passes[name];
+            const total = name.startsWith('pressure ') ? 'pressure' : name;
+            if (total !== name) solverPasses.push(name);
+            passes[total] = passes[total] || { time: 0, calls: 0 };
+            passes[total].time += pass.time;
+            passes[total].calls += pass.calls;
+        });
+        solverPasses.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+        const addRow = (name, pass, sub) => {
+            const row = document.createElement('div');
+            row.className = sub ? 'stat-pass sub' : 'stat-pass';
+            const label = document.createElement('span');
+            label.textContent = name;
+            const value = document.createElement('span');
+            value.textContent = `${pass.time.toFixed(2)}ms  ×${Math.round(pass.calls)}`;
+            row.append(label, value);
+            passList.appendChild(row);
+        };
+
+        // Slowest first
+        Object.keys(passes)
+            .sort((a, b) => passes[b].time - passes[a].time)
+            .forEach(name => {
+                addRow(name, passes[name], false);
+                if (name !== 'pressure') return;
+                solverPasses.slice(0, PROFILE_SOLVER_ROWS)
+                    .forEach(pass => addRow(pass, profile.passes[pass], true));
+                const hidden = solverPasses.length - PROFILE_SOLVER_ROWS;
+                if (hidden > 0) {
+                    const more = document.createElement('div');
+                    more.className = 'stat-pass sub';
+                    more.textContent = `+${hidden}`;
+                    passList.appendChild(more);
+                }
+            });
+    }
+
+    // Frame times as bars, with a line at 60 FPS
+    drawFrameGraph() {
+        const canvas = document.getElementById('frameGraph');
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const frameTimes = this.stats.frameTimes;
+        const scale = height / Math.max(FRAME_GRAPH_MIN_RANGE, ...frameTimes);
+        const barWidth = width / FRAME_GRAPH_LENGTH;
+
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = 'rgba(0, 243, 255, 0.7)';
+        frameTimes.forEach((time, i) => {
+            const barHeight = time * scale;
+            context.fillRect(width - (frameTimes.length - i) * barWidth, height - barHeight, barWidth, barHeight);
+        });
+
+        context.fillStyle = 'rgba(255, 0, 255, 0.8)';
+        context.fillRect(0, height - (1000 / 60) * scale, width, 1);
+    }
+}
+
+// ===== Error Panel =====
+function showError(err) {
+    console.error(err);
+
+    const panel = document.getElementById('errorPanel');
+    const title = document.getElementById('errorTitle');
+    const message = document.getElementById('errorMessage');
+    const details = document.getElementById('errorDetails');
+
+    if (err instanceof WebGLUnsupportedError) {
+        title.textContent = '无法启动 WebGL | WebGL unavailable';
+        message.textContent = '此浏览器或设备不支持 WebGL，无法运行流体模拟。请尝试更新浏览器或启用硬件加速。' +
+            ' This browser or device has no WebGL support. Try updating the browser or enabling hardware acceleration.';
+        details.hidden = true;
+        // Nothing on the page works without WebGL, so leave only the message
+        document.querySelector('.control-panel').hidden = true;
+        document.querySelector('.info-badge').hidden = true;
+    } else if (err instanceof ShaderError) {
+        title.textContent = '着色器错误 | Shader error';
+        message.textContent = err.message;
+        details.textContent = `${err.log.trim()}\n\n${err.source}`;
+        details.hidden = false;
+    } else {
+        title.textContent = '运行错误 | Runtime error';
+        message.textContent = err.message;
+        details.textContent = err.stack || '';
+        details.hidden = !err.stack;
+    }
+
+    panel.classList.add('active');
+}
+
+// ===== CPU Fallback =====
+// Without WebGL the page still shows a low-resolution fluid solved on the
+// CPU. The panel drives GPU-only features, so it stays hidden.
+function startCpuFallback(canvas, err) {
+    let simulation;
+    try {
+        simulation = new CpuFluidSimulation(canvas);
+    } catch (fallbackErr) {
+        console.warn('CPU fallback failed:', fallbackErr);
+        showError(err);
+        return;
+    }
+    window.fluidSimulation = simulation;
+
+    document.querySelector('.control-panel').hidden = true;
+    document.querySelector('.info-badge p').textContent = '无 WebGL，CPU 低分辨率模式 | No WebGL: low-resolution CPU mode';
+
+    setTimeout(() => {
+        simulation.multipleSplats(simulation.random() * 10 + 5);
+    }, 100);
+}
+
+// ===== Initialize Application =====
+window.addEventListener('DOMContentLoaded', () => {
+    const canvas = document.getElementById('fluidCanvas');
+    let simulation;
+    try {
+        simulation = new FluidSimulation(canvas);
+    } catch (err) {
+        if (err instanceof WebGLUnsupportedError) startCpuFallback(canvas, err);
+        else showError(err);
+        return;
+    }
+    simulation.on('error', showError);
+
+    // Handy from the console, e.g. fluidSimulation.debugLoseContext()
+    window.fluidSimulation = simulation;
+
+    const statusOverlay = document.getElementById('statusOverlay');
+    simulation.on('contextlost', () => statusOverlay.classList.add('active'));
+    simulation.on('contextrestored', () => statusOverlay.classList.remove('active'));
+
+    const palettes = new PaletteLibrary(simulation);
+    palettes.restore();
+    const presets = new PresetManager(simulation);
+    const audio = new AudioReactor(simulation);
+    const collab = new CollabSession(simulation);
+    const ui = new UIController(simulation, presets, palettes, audio, collab);
+
+    // A shared link wins over the last session
+    try {
+        if (!presets.loadFromHash()) presets.restoreSession();
+    } catch (err) {
+        console.warn('Could not load preset from link:', err);
+    }
+    ui.syncControls();
+
+    window.addEventListener('beforeunload', () => presets.saveSession());
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) presets.saveSession();
+    });
+
+    // Add some initial splats for visual interest
+    setTimeout(() => {
+        simulation.multipleSplats(simulation.random() * 10 + 5);
+    }, 100);
+});
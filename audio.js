@@ -0,0 +1,254 @@
+// ===== Audio-Reactive Input =====
+// Drives a FluidSimulation from music. An AnalyserNode splits the signal into
+// frequency bands; beats on one band fire splats, and the energy of the
+// others picks where they land, how hard they push and their palette color.
+// Curl can follow the overall loudness.
+//
+// Usage:
+//   import { AudioReactor } from './audio.js';
+//   const audio = new AudioReactor(sim);
+//   audio.loadFile(file);        // or audio.useMicrophone()
+//   audio.mapping.color = 'treble';
+//   audio.stop();
+//
+// Splats go through sim.splat(), so input recordings capture them too.
+
+// Band edges in Hz
+export const AUDIO_BANDS = {
+    bass: [20, 250],
+    lowMid: [250, 1000],
+    highMid: [1000, 4000],
+    treble: [4000, 16000]
+};
+
+// What each mapping target can be driven by; 'loudness' is the mean of all bands
+export const AUDIO_SOURCES = ['none', ...Object.keys(AUDIO_BANDS), 'loudness'];
+export const AUDIO_TARGETS = ['trigger', 'position', 'force', 'color', 'curl'];
+
+export class AudioReactor {
+    constructor(simulation) {
+        this.sim = simulation;
+
+        // Which source drives each target
+        this.mapping = {
+            trigger: 'bass',
+            position: 'highMid',
+            force: 'bass',
+            color: 'treble',
+            curl: 'loudness'
+        };
+        this.settings = {
+            gain: 1,
+            // A beat is energy this many times above the recent average
+            sensitivity: 1.4,
+            force: 1,
+            // Splats per beat at full energy
+            splats: 3
+        };
+
+        // Latest 0-1 energy per source, and which bands beat this frame
+        this.levels = {};
+        this.beats = {};
+        AUDIO_SOURCES.forEach(source => { this.levels[source] = 0; });
+
+        this.context = null;
+        this.analyser = null;
+        this.spectrum = null;
+        this.source = null;
+        this.element = null;
+        this.stream = null;
+        this.history = {};
+        this.cooldown = {};
+        // Audio clock reading at the last update
+        this.lastTime = null;
+
+        this.onFrame = () => this.update();
+    }
+
+    get active() {
+        return !!this.source;
+    }
+
+    // Plays a local audio file on a loop and visualizes it
+    loadFile(file) {
+        this.stop();
+        return Promise.resolve().then(() => {
+            const context = this.getContext();
+            const element = new Audio(URL.createObjectURL(file));
+            element.loop = true;
+            this.element = element;
+            this.connect(context.createMediaElementSource(element), true);
+            return element.play();
+        });
+    }
+
+    // Listens to the microphone; it isn't routed to the speakers to avoid feedback
+    useMicrophone() {
+        this.stop();
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return Promise.reject(new Error('Microphone input is not available in this browser'));
+        }
+        return navigator.mediaDevices.getUserMedia({ audio: true }).then(stream => {
+            this.stream = stream;
+            this.connect(this.getContext().createMediaStreamSource(stream), false);
+        });
+    }
+
+    stop() {
+        if (!this.source) return;
+
+        this.sim.off('frame', this.onFrame);
+        this.source.disconnect();
+        this.analyser.disconnect();
+        this.source = null;
+
+        if (this.element) {
+            this.element.pause();
+            URL.revokeObjectURL(this.element.src);
+            this.element = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        this.sim.curlScale = 1;
+        AUDIO_SOURCES.forEach(source => { this.levels[source] = 0; });
+        this.beats = {};
+    }
+
+    getContext() {
+        // Created on first use so it starts inside a user gesture
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) throw new Error('Web Audio is not available in this browser');
+            this.context = new AudioContext();
+        }
+        if (this.context.state === 'suspended') this.context.resume();
+        return this.context;
+    }
+
+    connect(source, audible) {
+        const context = this.context;
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.analyser.smoothingTimeConstant = 0.6;
+        this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+
+        source.connect(this.analyser);
+        if (audible) this.analyser.connect(context.destination);
+        this.source = source;
+
+        AUDIO_SOURCES.forEach(name => {
+            this.history[name] = [];
+            this.cooldown[name] = 0;
+        });
+        this.lastTime = null;
+        this.sim.on('frame', this.onFrame);
+    }
+
+    // On every rendered frame: measure the bands, then fire and modulate.
+    // Beat timing runs on the audio clock, so it follows the music whatever
+    // the refresh rate, the simulation's time scale or whether it's paused.
+    update() {
+        const now = this.context.currentTime;
+        // A long gap (background tab) counts as one window's worth
+        const dt = this.lastTime === null ? 0 : Math.min(now - this.lastTime, BEAT_WINDOW);
+        this.lastTime = now;
+        if (!(dt > 0)) return;
+
+        this.measure(dt);
+
+        const mapping = this.mapping;
+        const trigger = mapping.trigger;
+        if (trigger !== 'none' && this.beats[trigger]) {
+            const count = Math.max(1, Math.round(this.levels[trigger] * this.settings.splats));
+            for (let i = 0; i < count; i++) this.fireSplat();
+        }
+
+        // Quiet passages calm the flow, loud ones roughly double the swirl.
+        // This scales config.curl rather than rewriting it, so the setting
+        // stays the user's and collaborators aren't sent a new curl each frame.
+        this.sim.curlScale = mapping.curl === 'none' ? 1 : 0.25 + 1.5 * this.levels[mapping.curl];
+    }
+
+    measure(dt) {
+        const analyser = this.analyser;
+        analyser.getByteFrequencyData(this.spectrum);
+        const binWidth = this.context.sampleRate / analyser.fftSize;
+
+        let total = 0;
+        for (const band in AUDIO_BANDS) {
+            const [low, high] = AUDIO_BANDS[band];
+            const first = Math.max(1, Math.floor(low / binWidth));
+            const last = Math.min(this.spectrum.length - 1, Math.ceil(high / binWidth));
+
+            let sum = 0;
+            for (let i = first; i <= last; i++) sum += this.spectrum[i];
+            const level = Math.min(sum / ((last - first + 1) * 255) * this.settings.gain, 1);
+            this.levels[band] = level;
+            total += level;
+
+            this.beats[band] = this.detectBeat(band, level, dt);
+        }
+        this.levels.loudness = total / Object.keys(AUDIO_BANDS).length;
+        this.beats.loudness = this.detectBeat('loudness', this.levels.loudness, dt);
+    }
+
+    // A beat is a jump above the source's average over the last BEAT_WINDOW
+    // seconds; history holds { level, dt } so long and short frames weigh
+    // what they cover
+    detectBeat(source, level, dt) {
+        const history = this.history[source];
+        const span = history.reduce((sum, entry) => sum + entry.dt, 0);
+        const average = span > 0
+            ? history.reduce((sum, entry) => sum + entry.level * entry.dt, 0) / span
+            : level;
+        history.push({ level, dt });
+        let kept = span + dt;
+        while (history.length > 1 && kept - history[0].dt >= BEAT_WINDOW) {
+            kept -= history.shift().dt;
+        }
+
+        if (this.cooldown[source] > 0) {
+            this.cooldown[source] -= dt;
+            return false;
+        }
+        if (level < BEAT_MIN_LEVEL || level < average * this.settings.sensitivity) return false;
+
+        this.cooldown[source] = BEAT_COOLDOWN;
+        return true;
+    }
+
+    fireSplat() {
+        const sim = this.sim;
+        const { position, force, color } = this.mapping;
+        const level = (source) => this.levels[source];
+
+        // Position energy sweeps the splat from left to right
+        const x = position === 'none'
+            ? sim.random()
+            : 0.1 + 0.8 * level(position) + 0.1 * (sim.random() - 0.5);
+        const y = 0.2 + 0.6 * sim.random();
+
+        const strength = AUDIO_FORCE * this.settings.force * (force === 'none' ? 0.5 : level(force));
+        const angle = sim.random() * 2 * Math.PI;
+
+        sim.splat(
+            x * sim.canvas.width,
+            y * sim.canvas.height,
+            strength * Math.cos(angle),
+            strength * Math.sin(angle),
+            color === 'none' ? sim.getRandomColor() : sim.getPaletteColor(level(color))
+        );
+    }
+}
+
+// Seconds of level history a beat is measured against
+const BEAT_WINDOW = 0.7;
+// Seconds after a beat before the same band can beat again
+const BEAT_COOLDOWN = 0.13;
+// Quieter than this never counts as a beat
+const BEAT_MIN_LEVEL = 0.15;
+// Splat velocity at full energy and force 1
+const AUDIO_FORCE = 1500;
@@ -0,0 +1,442 @@
+// ===== Collaborative Sessions =====
+// Lets several browsers paint into the same fluid through relay.mjs. Every
+// client runs its own simulation. Local splats, emitter edits and config
+// changes are sent to the room and replayed on the others through
+// sim.splat(), setEmitters() and applyConfig(). Each user strokes in their
+// own color and shows up as a cursor on the others' screens.
+//
+// Usage:
+//   import { CollabSession } from './collab.js';
+//   const collab = new CollabSession(sim);
+//   collab.onChange = (reason) => { ... };  // 'status', 'peers', 'cursors', 'config' or 'drift'
+//   collab.connect('ws://192.168.1.20:8787/workshop', { name: 'Ada', color: { r, g, b } });
+//   collab.disconnect();
+//
+// Only inputs travel, never the fields, and every machine steps on its own
+// clock, so the flows look alike rather than identical. Display, quality and
+// diagnostics settings stay local (LOCAL_CONFIG_KEYS). Every few seconds the
+// clients compare a checksum of the shared config and emitters. A client
+// that keeps disagreeing with a peer sets drift; resync() sends this
+// client's state to the whole room.
+
+import { cleanConfigValue, configLimits } from './params.js';
+
+export class CollabSession {
+    constructor(simulation) {
+        this.sim = simulation;
+
+        this.socket = null;
+        // 'disconnected', 'connecting' or 'connected'
+        this.status = 'disconnected';
+        // Our id in the room, assigned by the relay
+        this.id = null;
+        this.name = '';
+        this.color = null;
+        // Everyone else in the room by id: { id, name, color, cursor, mismatches }.
+        // cursor is an { x, y } fraction of the canvas, or null off the canvas.
+        this.peers = new Map();
+        this.drift = false;
+        // Called with what changed, e.g. to refresh the panel
+        this.onChange = null;
+
+        // Local changes waiting for the next frame's batch
+        this.outbox = { splats: [], emitters: null };
+        // JSON of every shared config value and the custom palette, as last
+        // sent or received; anything else in config is a local change to send
+        this.sharedConfig = {};
+        this.sharedPalette = null;
+        this.cursor = null;
+        this.cursorChanged = false;
+        this.lastConfigSend = 0;
+        this.lastCursorSend = 0;
+        this.lastChecksum = 0;
+        // Set while remote changes are applied, so they aren't sent back
+        this.applying = false;
+
+        this.onSplat = ({ x, y, dx, dy, color, radius, weight }) => {
+            if (this.applying) return;
+            const canvas = this.sim.canvas;
+            this.outbox.splats.push({
+                x: x / canvas.width,
+                y: y / canvas.height,
+                dx,
+                dy,
+                color: { r: color.r, g: color.g, b: color.b },
+                radius,
+                weight
+            });
+        };
+        this.onEmitters = () => {
+            if (!this.applying) this.outbox.emitters = this.sim.getEmitters();
+        };
+        this.onFrame = () => this.flush();
+        this.onPointerMove = (e) => {
+            const rect = this.sim.canvas.getBoundingClientRect();
+            this.cursor = {
+                x: (e.clientX - rect.left) / rect.width,
+                y: (e.clientY - rect.top) / rect.height
+            };
+            this.cursorChanged = true;
+        };
+        this.onPointerLeave = () => {
+            this.cursor = null;
+            this.cursorChanged = true;
+        };
+    }
+
+    get connected() {
+        return this.status === 'connected';
+    }
+
+    // Joins the room in url (ws://host:port/room). Resolves once the relay
+    // has welcomed us; rejects if the connection closes before that.
+    connect(url, { name = '', color = null } = {}) {
+        this.disconnect();
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(url);
+            this.socket = socket;
+            this.name = name;
+            this.color = color;
+            this.setStatus('connecting');
+
+            socket.addEventListener('open', () => {
+                this.send({ type: 'hello', name, color });
+            });
+            socket.addEventListener('message', (e) => {
+                let message;
+                try {
+                    message = JSON.parse(e.data);
+                } catch {
+                    return;
+                }
+                if (message.type === 'welcome') {
+                    this.start(message);
+                    resolve();
+                } else if (this.connected) {
+                    this.receive(message);
+                }
+            });
+            // Browsers follow an error with a close; some runtimes stop at the error
+            const closed = () => {
+                // No effect once the promise has resolved
+                reject(new Error(`Could not connect to ${url}`));
+                if (this.socket === socket) this.stop();
+            };
+            socket.addEventListener('error', closed);
+            socket.addEventListener('close', closed);
+        });
+    }
+
+    disconnect() {
+        const socket = this.socket;
+        if (!socket) return;
+        this.stop();
+        socket.close();
+    }
+
+    start({ id, peers }) {
+        this.id = id;
+        this.peers = new Map(peers.map(peer => [peer.id, createPeer(peer)]));
+        // Until the room's state arrives, ours counts as already shared
+        this.sharedConfig = this.snapshotConfig();
+        this.sharedPalette = JSON.stringify(this.getPalette());
+        this.lastChecksum = performance.now();
+
+        const sim = this.sim;
+        sim.strokeColor = this.color;
+        sim.on('splat', this.onSplat);
+        sim.on('emitters', this.onEmitters);
+        sim.on('frame', this.onFrame);
+        sim.canvas.addEventListener('pointermove', this.onPointerMove);
+        sim.canvas.addEventListener('pointerleave', this.onPointerLeave);
+
+        this.setStatus('connected');
+        this.notify('peers');
+    }
+
+    stop() {
+        if (this.connected) {
+            const sim = this.sim;
+            sim.strokeColor = null;
+            sim.off('splat', this.onSplat);
+            sim.off('emitters', this.onEmitters);
+            sim.off('frame', this.onFrame);
+            sim.canvas.removeEventListener('pointermove', this.onPointerMove);
+            sim.canvas.removeEventListener('pointerleave', this.onPointerLeave);
+        }
+
+        this.socket = null;
+        this.id = null;
+        this.peers.clear();
+        this.drift = false;
+        this.outbox = { splats: [], emitters: null };
+        this.cursor = null;
+        this.cursorChanged = false;
+
+        this.setStatus('disconnected');
+        this.notify('peers');
+    }
+
+    // Sends this client's config, palette and emitters to everyone, e.g. after drift
+    resync() {
+        if (!this.connected) return;
+        this.send(Object.assign({ type: 'state' }, this.getState()));
+        this.peers.forEach(peer => { peer.mismatches = 0; });
+        this.updateDrift();
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.notify('status');
+    }
+
+    notify(reason) {
+        if (this.onChange) this.onChange(reason);
+    }
+
+    // ===== Outgoing =====
+    // Once per frame: everything that changed locally goes out as one message
+    flush() {
+        const now = performance.now();
+        const batch = { type: 'batch' };
+
+        // A slow link drops strokes rather than falling ever further behind
+        if (this.outbox.splats.length && this.socket.bufferedAmount < MAX_BUFFERED) {
+            batch.splats = this.outbox.splats;
+        }
+        if (this.outbox.emitters) batch.emitters = this.outbox.emitters;
+        this.outbox = { splats: [], emitters: null };
+
+        if (now - this.lastConfigSend >= CONFIG_INTERVAL) {
+            // The palette goes first so the scheme it belongs to exists on arrival
+            const palette = this.getPalette();
+            const paletteJSON = JSON.stringify(palette);
+            if (palette && paletteJSON !== this.sharedPalette) batch.palette = palette;
+            this.sharedPalette = paletteJSON;
+
+            const changes = this.diffConfig();
+            if (changes) batch.config = changes;
+            if (batch.palette || changes) this.lastConfigSend = now;
+        }
+
+        if (this.cursorChanged && now - this.lastCursorSend >= CURSOR_INTERVAL) {
+            batch.cursor = this.cursor;
+            this.cursorChanged = false;
+            this.lastCursorSend = now;
+        }
+
+        if (Object.keys(batch).length > 1) this.send(batch);
+
+        if (now - this.lastChecksum >= CHECKSUM_INTERVAL) {
+            this.lastChecksum = now;
+            this.send({ type: 'checksum', value: this.checksum() });
+        }
+    }
+
+    // Shared config keys in a fixed order, so every client hashes them alike
+    sharedKeys() {
+        return Object.keys(this.sim.config).filter(key => !LOCAL_CONFIG_KEYS.includes(key)).sort();
+    }
+
+    snapshotConfig() {
+        const snapshot = {};
+        this.sharedKeys().forEach(key => { snapshot[key] = JSON.stringify(this.sim.config[key]); });
+        return snapshot;
+    }
+
+    // Shared values changed since they were last sent or received, or null
+    diffConfig() {
+        let changes = null;
+        this.sharedKeys().forEach(key => {
+            const json = JSON.stringify(this.sim.config[key]);
+            if (json === this.sharedConfig[key]) return;
+            this.sharedConfig[key] = json;
+            (changes = changes || {})[key] = JSON.parse(json);
+        });
+        return changes;
+    }
+
+    // The active scheme's colors when it is a custom one, else null
+    getPalette() {
+        const sim = this.sim;
+        const name = sim.config.colorScheme;
+        if (sim.isBuiltInColorScheme(name) || !sim.colorSchemes[name]) return null;
+        return { name, colors: sim.colorSchemes[name] };
+    }
+
+    getState() {
+        const config = {};
+        this.sharedKeys().forEach(key => { config[key] = this.sim.config[key]; });
+        return { config, palette: this.getPalette(), emitters: this.sim.getEmitters() };
+    }
+
+    // FNV-1a over the shared state
+    checksum() {
+        const text = JSON.stringify(this.getState());
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // ===== Incoming =====
+    receive(message) {
+        const peer = this.peers.get(message.from);
+
+        switch (message.type) {
+            case 'join':
+                this.peers.set(message.id, createPeer(message));
+                // The longest-connected client brings the newcomer up to date
+                if ([...this.peers.keys()].every(id => id === message.id || id > this.id)) {
+                    this.send(Object.assign({ type: 'state', to: message.id }, this.getState()));
+                }
+                this.notify('peers');
+                break;
+            case 'leave':
+                this.peers.delete(message.id);
+                this.updateDrift();
+                this.notify('peers');
+                break;
+            case 'batch':
+                if (!peer) return;
+                this.applyRemote(() => {
+                    this.applyShared(message);
+                    if (Array.isArray(message.splats)) message.splats.forEach(splat => this.applySplat(splat));
+                });
+                if (message.palette || message.config) this.notify('config');
+                if ('cursor' in message) {
+                    peer.cursor = isPoint(message.cursor) ? message.cursor : null;
+                    this.notify('cursors');
+                }
+                break;
+            case 'state':
+                if (!peer) return;
+                this.applyRemote(() => this.applyShared(message));
+                this.peers.forEach(p => { p.mismatches = 0; });
+                this.updateDrift();
+                this.notify('config');
+                break;
+            case 'checksum':
+                if (!peer) return;
+                peer.mismatches = message.value === this.checksum() ? 0 : peer.mismatches + 1;
+                this.updateDrift();
+                break;
+        }
+    }
+
+    // A peer's message is skipped, not fatal, when the engine rejects it
+    applyRemote(apply) {
+        this.applying = true;
+        try {
+            apply();
+        } catch (err) {
+            console.warn('Ignoring a collaboration message:', err);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    applyShared({ palette, config, emitters }) {
+        if (palette && !this.sim.isBuiltInColorScheme(palette.name)) {
+            this.sim.setColorScheme(palette.name, palette.colors);
+        }
+        if (config) this.applyConfig(config);
+        if (Array.isArray(emitters)) this.sim.setEmitters(emitters);
+        // What just arrived is shared already and needn't go back out
+        this.sharedPalette = JSON.stringify(this.getPalette());
+    }
+
+    // Only shared keys, checked like a preset: anyone in the room can send
+    // anything, so numbers are clamped and values that don't fit are dropped
+    applyConfig(values) {
+        const config = this.sim.config;
+        const clean = {};
+        this.sharedKeys().forEach(key => {
+            if (!(key in values)) return;
+            try {
+                if (key === 'colorScheme') {
+                    if (!Object.hasOwn(this.sim.colorSchemes, values[key])) {
+                        throw new Error(`Unknown color scheme: ${values[key]}`);
+                    }
+                    clean[key] = values[key];
+                } else {
+                    clean[key] = cleanConfigValue(key, values[key], config[key]);
+                }
+            } catch (err) {
+                console.warn('Ignoring a shared setting:', err.message);
+                return;
+            }
+            this.sharedConfig[key] = JSON.stringify(clean[key]);
+        });
+        this.sim.applyConfig(clean);
+    }
+
+    applySplat(splat) {
+        const sim = this.sim;
+        // Live input is ignored while a recording plays back, remote input too
+        if (sim.replay) return;
+        const numbers = [splat.x, splat.y, splat.dx, splat.dy, splat.radius, splat.weight];
+        if (!numbers.every(Number.isFinite) || !isColor(splat.color)) return;
+
+        // A zero or negative radius would put NaN or Infinity into every
+        // client's fields, so peers get the panel's ranges like their config
+        const radius = configLimits('splatRadius');
+        sim.splat(splat.x * sim.canvas.width, splat.y * sim.canvas.height,
+            clamp(splat.dx, -MAX_SPLAT_PUSH, MAX_SPLAT_PUSH),
+            clamp(splat.dy, -MAX_SPLAT_PUSH, MAX_SPLAT_PUSH),
+            splat.color,
+            clamp(splat.radius, radius.min, radius.max),
+            clamp(splat.weight, 0, 1));
+    }
+
+    // Drift is two checksums in a row that disagreed with the same peer
+    updateDrift() {
+        const drift = [...this.peers.values()].some(peer => peer.mismatches >= DRIFT_STRIKES);
+        if (drift === this.drift) return;
+        this.drift = drift;
+        this.notify('drift');
+    }
+}
+
+function createPeer({ id, name, color }) {
+    return { id, name, color: isColor(color) ? color : null, cursor: null, mismatches: 0 };
+}
+
+function isColor(color) {
+    return !!color && ['r', 'g', 'b'].every(k => Number.isFinite(color[k]));
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function isPoint(point) {
+    return !!point && Number.isFinite(point.x) && Number.isFinite(point.y);
+}
+
+// Config that each client keeps to itself: how it draws, how fast its GPU
+// is and what it measures, none of which changes the shared flow
+const LOCAL_CONFIG_KEYS = [
+    'simResolution', 'dyeResolution', 'adaptiveQuality', 'targetFPS', 'maxPixelRatio',
+    'measureResidual', 'profiling',
+    'displayMode', 'displayLayout', 'displayAutoRange'
+];
+// Minimum ms between config messages and between cursor updates
+const CONFIG_INTERVAL = 100;
+const CURSOR_INTERVAL = 50;
+// Ms between checksums, and mismatches in a row that count as drift
+const CHECKSUM_INTERVAL = 5000;
+const DRIFT_STRIKES = 2;
+// Bytes queued on the socket past which strokes are dropped
+const MAX_BUFFERED = 256 * 1024;
+// Largest push a peer's splat may carry: a stroke across the whole canvas
+// at the strongest brush force
+const MAX_SPLAT_PUSH = 15000;
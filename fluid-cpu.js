@@ -0,0 +1,755 @@
+// ===== CPU Reference Solver =====
+// The FluidSimulation pipeline in plain JavaScript: curl, vorticity
+// confinement, divergence, Jacobi pressure, gradient subtraction, advection
+// and splats, one method per shader with the same lookups and the same config
+// semantics. It needs no GPU, so it runs headless under Node as a reference
+// to check the solver's math against, and with a canvas it is a low-resolution
+// Canvas2D fallback for devices without WebGL.
+//
+// Usage:
+//   import { CpuFluidSimulation } from './fluid-cpu.js';
+//
+//   // Headless: a width x height domain stands in for the canvas
+//   const sim = new CpuFluidSimulation(null, { width: 400, height: 300, config: { simResolution: 32 } });
+//   sim.splat(200, 150, 800, 0, { r: 1, g: 0.5, b: 0 });
+//   sim.project();
+//   sim.measurePressureResidual();  // RMS error of the pressure solve
+//   sim.measureDivergence();        // RMS divergence left over the open cells (see below)
+//   sim.step(0.016);
+//   sim.totalDye();                 // { r, g, b } summed over the dye grid
+//
+//   // On a page: draws the dye and paints with the pointer
+//   const sim = new CpuFluidSimulation(canvas);
+//
+// Options are those of FluidSimulation plus width and height for headless
+// runs. Fields are { width, height, components, data } with data a
+// Float32Array stored bottom row first, like the GPU textures; velocity
+// interleaves (u, v) and dye (r, g, b). obstacles.data holds 1 in solid cells.
+//
+// The pressure solve is always Jacobi: config.pressure passes, or with
+// config.pressureTolerance until the residual drops below it. Like the
+// shaders, the divergence takes half differences while the gradient takes
+// full ones, so even a converged solve leaves a floor of divergence, about
+// half of what the projection started with. The residual is what converges:
+// to zero where open boundaries pin the pressure, to a floor of its own
+// in a closed domain. fluid-cpu.test.mjs (run with Node) checks both. Fire mode,
+// particles, emitters, media, field views and post effects are GPU-only;
+// strokes take a random hue. Events: 'frame' { dt, steps, step },
+// 'splat' { x, y, dx, dy, color, radius, weight }, 'resize' { width, height }.
+
+import { createRandom } from './fluid.js';
+
+export class CpuFluidSimulation {
+    constructor(canvas, options = {}) {
+        const {
+            config = {},
+            seed = Math.floor(Math.random() * 0x100000000),
+            autoStart = true,
+            interactive = true,
+            width = 512,
+            height = 512
+        } = options;
+
+        // Headless runs measure splats and grids against a plain size
+        this.headless = !canvas;
+        this.canvas = canvas || { width, height };
+        this.context = null;
+        if (canvas) {
+            this.context = canvas.getContext('2d');
+            if (!this.context) throw new Error('Canvas 2D is not available');
+        }
+
+        // The GPU defaults, with grids small enough to step on one core
+        this.config = {
+            simResolution: 64,
+            dyeResolution: 128,
+            timeScale: 1,
+            maxSubsteps: 4,
+            viscosity: 20,
+            diffusion: 0.8,
+            pressure: 20,
+            pressureTolerance: 0,
+            measureResidual: false,
+            curl: 30,
+            splatRadius: 0.005,
+            splatForce: 5000,
+            boundary: 'walls',
+            obstacleColor: { r: 0.1, g: 0.1, b: 0.16 },
+            backgroundColor: { r: 0.0, g: 0.0, b: 0.0 }
+        };
+        Object.assign(this.config, config);
+
+        this.pointers = [];
+        this.setSeed(seed);
+
+        this.domListeners = [];
+        this.eventHandlers = {};
+
+        this.interactive = interactive && !this.headless;
+        this.frameId = null;
+        this.paused = false;
+        this.clock = { lastFrame: null, accumulator: 0, pendingSteps: 0 };
+        this.stepCount = 0;
+        this.solverStats = { solver: 'jacobi', passes: 0, residual: null };
+        // Multiplies config.curl without changing it, as on FluidSimulation
+        this.curlScale = 1;
+
+        // Offscreen canvas the dye is drawn into before scaling up
+        this.buffer = null;
+        this.image = null;
+
+        if (!this.headless) this.resizeCanvas();
+        this.initFields();
+        if (this.interactive) this.setupEventListeners();
+        if (autoStart && !this.headless) this.start();
+    }
+
+    // ===== Events =====
+    on(type, handler) {
+        (this.eventHandlers[type] = this.eventHandlers[type] || []).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.eventHandlers[type];
+        if (handlers) this.eventHandlers[type] = handlers.filter(h => h !== handler);
+    }
+
+    emit(type, detail) {
+        const handlers = this.eventHandlers[type];
+        if (handlers) handlers.forEach(handler => handler(detail));
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target, type, handler, options });
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+    }
+
+    // ===== Lifecycle =====
+    start() {
+        this.paused = false;
+        if (this.frameId === null && !this.headless) {
+            this.frameId = requestAnimationFrame(() => this.update());
+        }
+    }
+
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.clock.lastFrame = null;
+    }
+
+    pause() {
+        this.paused = true;
+        if (this.frameId === null && !this.headless) {
+            this.frameId = requestAnimationFrame(() => this.update());
+        }
+    }
+
+    stepForward(count = 1) {
+        if (!this.paused) this.pause();
+        this.clock.pendingSteps += count;
+    }
+
+    destroy() {
+        this.stop();
+        this.domListeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.domListeners = [];
+        this.eventHandlers = {};
+        this.pointers = [];
+    }
+
+    // ===== Grids =====
+    // Same sizing as FluidSimulation: resolution cells along the short side
+    getResolution(resolution) {
+        let aspect = this.canvas.width / this.canvas.height;
+        if (!(aspect > 0) || !Number.isFinite(aspect)) aspect = 1;
+        if (aspect < 1) aspect = 1 / aspect;
+
+        const min = Math.round(resolution);
+        const max = Math.round(resolution * aspect);
+
+        if (this.canvas.width > this.canvas.height) {
+            return { width: max, height: min };
+        }
+        return { width: min, height: max };
+    }
+
+    // Allocates every field, resampling the current ones onto the new grids
+    initFields() {
+        const sim = this.getResolution(this.config.simResolution);
+        const dye = this.getResolution(this.config.dyeResolution);
+
+        this.velocity = resampleField(this.velocity, sim.width, sim.height, 2, this.wrap);
+        this.pressure = resampleField(this.pressure, sim.width, sim.height, 1, this.wrap);
+        this.obstacles = resampleField(this.obstacles, sim.width, sim.height, 1, this.wrap);
+        this.dye = resampleField(this.dye, dye.width, dye.height, 3, this.wrap);
+        // Obstacles stay a hard mask after resampling
+        this.obstacles.data.forEach((value, i) => { this.obstacles.data[i] = value >= 0.5 ? 1 : 0; });
+
+        this.curl = createField(sim.width, sim.height, 1);
+        this.divergence = createField(sim.width, sim.height, 1);
+        // Write targets, swapped with the fields above like the GPU's double FBOs
+        this.velocityNext = createField(sim.width, sim.height, 2);
+        this.pressureNext = createField(sim.width, sim.height, 1);
+        this.dyeNext = createField(dye.width, dye.height, 3);
+    }
+
+    get wrap() {
+        return this.config.boundary === 'periodic';
+    }
+
+    // Merges values into config; resolution changes resample the fields
+    applyConfig(values) {
+        const resized = ['simResolution', 'dyeResolution'].some(key => key in values && values[key] !== this.config[key]);
+        Object.assign(this.config, values);
+        if (resized) this.initFields();
+    }
+
+    resizeCanvas() {
+        // The dye is drawn at grid resolution and scaled up, so CSS pixels are plenty
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (width > 0 && height > 0 && (this.canvas.width !== width || this.canvas.height !== height)) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+            if (this.velocity) this.initFields();
+            this.emit('resize', { width, height });
+        }
+    }
+
+    clear() {
+        this.dye.data.fill(0);
+    }
+
+    // Empties dye, velocity and pressure
+    resetFields() {
+        [this.velocity, this.pressure, this.dye].forEach(field => field.data.fill(0));
+    }
+
+    // ===== Boundaries =====
+    // 1 inside an obstacle or, with walls, outside the domain (solidAt)
+    solidAt(i, j) {
+        const { width, height } = this.obstacles;
+        if (this.config.boundary === 'walls' && (i < 0 || j < 0 || i >= width || j >= height)) return 1;
+        return this.obstacles.data[texelIndex(this.obstacles, i, j, this.wrap)] >= 0.5 ? 1 : 0;
+    }
+
+    // Pressure seen at a neighbour: solids mirror the centre, open edges are zero (pressureAt)
+    pressureAt(pressure, i, j, centre) {
+        if (this.config.boundary === 'open' &&
+            (i < 0 || j < 0 || i >= pressure.width || j >= pressure.height)) return 0;
+        if (this.solidAt(i, j)) return centre;
+        return pressure.data[texelIndex(pressure, i, j, this.wrap)];
+    }
+
+    // Solid test at a 0-1 position of another grid, through the filtered mask
+    solidAtUv(u, v) {
+        return sampleField(this.obstacles, u, v, this.wrap, SAMPLE)[0] >= 0.5 ? 1 : 0;
+    }
+
+    // ===== Simulation Step =====
+    step(dt) {
+        this.computeCurl();
+        this.applyVorticity(dt);
+        this.project();
+        this.advect('velocity', dt, 1.0 - this.config.viscosity / 100.0);
+        this.advect('dye', dt, 1.0 - this.config.diffusion / 10.0);
+    }
+
+    computeCurl() {
+        const velocity = this.velocity;
+        const { width, height } = velocity;
+        const data = velocity.data;
+        const wrap = this.wrap;
+
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const L = data[texelIndex(velocity, i - 1, j, wrap) + 1];
+                const R = data[texelIndex(velocity, i + 1, j, wrap) + 1];
+                const T = data[texelIndex(velocity, i, j + 1, wrap)];
+                const B = data[texelIndex(velocity, i, j - 1, wrap)];
+                this.curl.data[j * width + i] = 0.5 * (R - L - T + B);
+            }
+        }
+    }
+
+    applyVorticity(dt) {
+        const curl = this.curl;
+        const { width, height } = curl;
+        const data = this.velocity.data;
+        const wrap = this.wrap;
+        const strength = this.config.curl * this.curlScale;
+
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const L = curl.data[texelIndex(curl, i - 1, j, wrap)];
+                const R = curl.data[texelIndex(curl, i + 1, j, wrap)];
+                const T = curl.data[texelIndex(curl, i, j + 1, wrap)];
+                const B = curl.data[texelIndex(curl, i, j - 1, wrap)];
+                const C = curl.data[j * width + i];
+
+                let fx = 0.5 * (Math.abs(T) - Math.abs(B));
+                let fy = 0.5 * (Math.abs(R) - Math.abs(L));
+                const length = Math.hypot(fx, fy) + 0.0001;
+                fx = fx / length * strength * C;
+                fy = -fy / length * strength * C;
+
+                const k = (j * width + i) * 2;
+                data[k] = clamp(data[k] + fx * dt, -1000.0, 1000.0);
+                data[k + 1] = clamp(data[k + 1] + fy * dt, -1000.0, 1000.0);
+            }
+        }
+    }
+
+    // Divergence, pressure solve and gradient subtraction
+    project() {
+        this.computeDivergence();
+        // Warm-started from the last solution
+        this.pressure.data.forEach((value, i) => { this.pressure.data[i] = value * 0.8; });
+        this.solvePressure();
+        this.subtractGradient();
+    }
+
+    computeDivergence() {
+        const velocity = this.velocity;
+        const { width, height } = velocity;
+        const data = velocity.data;
+        const wrap = this.wrap;
+
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                // Solid neighbours contribute the wall velocity (zero)
+                const L = data[texelIndex(velocity, i - 1, j, wrap)] * (1 - this.solidAt(i - 1, j));
+                const R = data[texelIndex(velocity, i + 1, j, wrap)] * (1 - this.solidAt(i + 1, j));
+                const T = data[texelIndex(velocity, i, j + 1, wrap) + 1] * (1 - this.solidAt(i, j + 1));
+                const B = data[texelIndex(velocity, i, j - 1, wrap) + 1] * (1 - this.solidAt(i, j - 1));
+                this.divergence.data[j * width + i] = 0.5 * (R - L + T - B);
+            }
+        }
+    }
+
+    // config.pressure Jacobi passes; with a tolerance, passes in chunks until
+    // the residual is below it, for at most four times that budget
+    solvePressure() {
+        const config = this.config;
+        const runs = Math.max(1, Math.round(config.pressure));
+        const stats = this.solverStats;
+        let done = 0;
+
+        if (config.pressureTolerance > 0) {
+            while (done < runs * 4) {
+                const count = Math.min(TOLERANCE_CHECK_PASSES, runs * 4 - done);
+                for (let i = 0; i < count; i++) this.jacobiPass();
+                done += count;
+                stats.residual = this.measurePressureResidual();
+                if (stats.residual < config.pressureTolerance) break;
+            }
+        } else {
+            for (let i = 0; i < runs; i++) this.jacobiPass();
+            done = runs;
+            if (config.measureResidual) stats.residual = this.measurePressureResidual();
+        }
+
+        stats.passes = done;
+    }
+
+    jacobiPass() {
+        const pressure = this.pressure;
+        const next = this.pressureNext;
+        const { width, height } = pressure;
+
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const index = j * width + i;
+                const P = pressure.data[index];
+                const L = this.pressureAt(pressure, i - 1, j, P);
+                const R = this.pressureAt(pressure, i + 1, j, P);
+                const T = this.pressureAt(pressure, i, j + 1, P);
+                const B = this.pressureAt(pressure, i, j - 1, P);
+                next.data[index] = (L + R + T + B - this.divergence.data[index]) * 0.25;
+            }
+        }
+
+        this.pressure = next;
+        this.pressureNext = pressure;
+    }
+
+    // RMS of what the pressure equation still gets wrong, over the open cells
+    measurePressureResidual() {
+        const pressure = this.pressure;
+        const { width, height } = pressure;
+        let sum = 0;
+        let count = 0;
+
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                if (this.solidAt(i, j)) continue;
+                const index = j * width + i;
+                const P = pressure.data[index];
+                const L = this.pressureAt(pressure, i - 1, j, P);
+                const R = this.pressureAt(pressure, i + 1, j, P);
+                const T = this.pressureAt(pressure, i, j + 1, P);
+                const B = this.pressureAt(pressure, i, j - 1, P);
+                const residual = this.divergence.data[index] - (L + R + T + B - 4.0 * P);
+                sum += residual * residual;
+                count++;
+            }
+        }
+        return count ? Math.sqrt(sum / count) : 0;
+    }
+
+    subtractGradient() {
+        const pressure = this.pressure;
+        const { width, height } = pressure;
+        const data = this.velocity.data;
+
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const index = j * width + i;
+                const oL = this.solidAt(i - 1, j);
+                const oR = this.solidAt(i + 1, j);
+                const oT = this.solidAt(i, j + 1);
+                const oB = this.solidAt(i, j - 1);
+
+                const P = pressure.data[index];
+                const L = this.pressureAt(pressure, i - 1, j, P);
+                const R = this.pressureAt(pressure, i + 1, j, P);
+                const T = this.pressureAt(pressure, i, j + 1, P);
+                const B = this.pressureAt(pressure, i, j - 1, P);
+
+                // No flow through a wall, and none inside a solid cell
+                const open = 1 - this.solidAt(i, j);
+                const k = index * 2;
+                data[k] = (data[k] - (R - L)) * (1 - Math.max(oL, oR)) * open;
+                data[k + 1] = (data[k + 1] - (T - B)) * (1 - Math.max(oT, oB)) * open;
+            }
+        }
+    }
+
+    // Semi-Lagrangian: each cell looks back along the velocity and takes what
+    // was there, scaled by dissipation. Nothing is carried into obstacles.
+    // name is 'velocity' or 'dye'; the result swaps in like a double FBO.
+    advect(name, dt, dissipation) {
+        const source = this[name];
+        const target = this[name + 'Next'];
+        const velocity = this.velocity;
+        const { width, height, components } = target;
+        const wrap = this.wrap;
+        const velocitySample = [0, 0];
+        const sourceSample = [0, 0, 0];
+
+        for (let j = 0; j < height; j++) {
+            const v = (j + 0.5) / height;
+            for (let i = 0; i < width; i++) {
+                const u = (i + 0.5) / width;
+                const scale = (1 - this.solidAtUv(u, v)) * dissipation;
+                sampleField(velocity, u, v, wrap, velocitySample);
+                sampleField(source,
+                    u - dt * velocitySample[0] / velocity.width,
+                    v - dt * velocitySample[1] / velocity.height,
+                    wrap, sourceSample);
+
+                const k = (j * width + i) * components;
+                for (let c = 0; c < components; c++) target.data[k + c] = scale * sourceSample[c];
+            }
+        }
+
+        this[name] = target;
+        this[name + 'Next'] = source;
+    }
+
+    // ===== Splats =====
+    // Pushes velocity (dx, dy) and adds color at canvas pixel (x, y), as in
+    // FluidSimulation.splat(); radius is in config.splatRadius units
+    splat(x, y, dx, dy, color, radius = this.config.splatRadius, weight = 1) {
+        this.emit('splat', { x, y, dx, dy, color, radius, weight });
+
+        const point = [x / this.canvas.width, 1.0 - y / this.canvas.height];
+        this.splatField(this.velocity, point, [dx, -dy], radius);
+        this.splatField(this.dye, point, [color.r * weight, color.g * weight, color.b * weight], radius);
+    }
+
+    splatField(field, point, values, radius) {
+        const { width, height, components, data } = field;
+        const aspectRatio = this.canvas.width / this.canvas.height;
+        const wrap = this.wrap;
+
+        for (let j = 0; j < height; j++) {
+            let py = (j + 0.5) / height - point[1];
+            // Splats near an edge continue on the opposite side
+            if (wrap) py -= Math.floor(py + 0.5);
+            for (let i = 0; i < width; i++) {
+                let px = (i + 0.5) / width - point[0];
+                if (wrap) px -= Math.floor(px + 0.5);
+                px *= aspectRatio;
+                const falloff = Math.exp(-(px * px + py * py) / radius);
+
+                const k = (j * width + i) * components;
+                for (let c = 0; c < components; c++) data[k + c] += falloff * values[c];
+            }
+        }
+    }
+
+    multipleSplats(amount) {
+        for (let i = 0; i < amount; i++) {
+            const x = this.random() * this.canvas.width;
+            const y = this.random() * this.canvas.height;
+            const dx = 1000 * (this.random() - 0.5);
+            const dy = 1000 * (this.random() - 0.5);
+            this.splat(x, y, dx, dy, this.getRandomColor());
+        }
+    }
+
+    // A fully saturated random hue
+    getRandomColor() {
+        const h = this.random() * 6;
+        const f = (n) => clamp(Math.abs((h + n) % 6 - 3) - 1, 0, 1);
+        return { r: f(0), g: f(4), b: f(2) };
+    }
+
+    // ===== Measurements =====
+    // RMS of the divergence pass over the open cells. The projection pairs a
+    // half-difference divergence with a full-difference gradient, as the
+    // shaders do, so this levels off at roughly half its value before
+    // projecting however far the solve converges; the solve itself is
+    // measured by measurePressureResidual().
+    measureDivergence() {
+        this.computeDivergence();
+        const { width, height, data } = this.divergence;
+        let sum = 0;
+        let count = 0;
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                if (this.solidAt(i, j)) continue;
+                sum += data[j * width + i] ** 2;
+                count++;
+            }
+        }
+        return count ? Math.sqrt(sum / count) : 0;
+    }
+
+    // Dye summed over the grid, e.g. to see what advection gains or loses with config.diffusion 0
+    totalDye() {
+        const total = { r: 0, g: 0, b: 0 };
+        const data = this.dye.data;
+        for (let k = 0; k < data.length; k += 3) {
+            total.r += data[k];
+            total.g += data[k + 1];
+            total.b += data[k + 2];
+        }
+        return total;
+    }
+
+    // ===== Animation Loop =====
+    // Fixed FIXED_DT steps paid for by real time, as in FluidSimulation.update()
+    update() {
+        const clock = this.clock;
+        const now = performance.now();
+        const elapsed = clock.lastFrame === null || now - clock.lastFrame > MAX_FRAME_GAP
+            ? FIXED_DT
+            : (now - clock.lastFrame) / 1000;
+        clock.lastFrame = now;
+        let steps = 0;
+
+        this.resizeCanvas();
+        if (!this.paused) {
+            clock.accumulator += elapsed * this.config.timeScale;
+            steps = Math.floor(clock.accumulator / FIXED_DT);
+            if (steps > this.config.maxSubsteps) {
+                steps = this.config.maxSubsteps;
+                clock.accumulator = 0;
+            } else {
+                clock.accumulator -= steps * FIXED_DT;
+            }
+        }
+        steps += clock.pendingSteps;
+        clock.pendingSteps = 0;
+
+        for (let i = 0; i < steps; i++) this.advance(FIXED_DT);
+        this.render();
+
+        this.emit('frame', { dt: steps * FIXED_DT, steps, step: this.stepCount });
+        this.frameId = requestAnimationFrame(() => this.update());
+    }
+
+    advance(dt) {
+        this.applyInputs();
+        this.step(dt);
+        this.stepCount++;
+    }
+
+    // Draws the dye over the background, obstacles on top, at grid
+    // resolution; the browser's smoothing scales it to the canvas
+    render() {
+        const dye = this.dye;
+        const { width, height } = dye;
+        if (!this.buffer) this.buffer = document.createElement('canvas');
+        if (this.buffer.width !== width || this.buffer.height !== height) {
+            this.buffer.width = width;
+            this.buffer.height = height;
+            this.image = null;
+        }
+        const bufferContext = this.buffer.getContext('2d');
+        if (!this.image) this.image = bufferContext.createImageData(width, height);
+
+        const pixels = this.image.data;
+        const background = this.config.backgroundColor;
+        const obstacle = this.config.obstacleColor;
+        for (let j = 0; j < height; j++) {
+            // Grid rows run bottom-up; image rows run top-down
+            const row = (height - 1 - j) * width;
+            const v = (j + 0.5) / height;
+            for (let i = 0; i < width; i++) {
+                const k = (j * width + i) * 3;
+                let r = dye.data[k];
+                let g = dye.data[k + 1];
+                let b = dye.data[k + 2];
+
+                // Background shows through wherever there is little dye
+                const alpha = clamp(Math.max(r, g, b), 0, 1);
+                r += background.r * (1 - alpha);
+                g += background.g * (1 - alpha);
+                b += background.b * (1 - alpha);
+
+                const solid = sampleField(this.obstacles, (i + 0.5) / width, v, this.wrap, SAMPLE)[0];
+                r += (obstacle.r - r) * solid;
+                g += (obstacle.g - g) * solid;
+                b += (obstacle.b - b) * solid;
+
+                const p = (row + i) * 4;
+                pixels[p] = clamp(r, 0, 1) * 255;
+                pixels[p + 1] = clamp(g, 0, 1) * 255;
+                pixels[p + 2] = clamp(b, 0, 1) * 255;
+                pixels[p + 3] = 255;
+            }
+        }
+        bufferContext.putImageData(this.image, 0, 0);
+
+        const context = this.context;
+        context.imageSmoothingEnabled = true;
+        context.drawImage(this.buffer, 0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // ===== Pointer Input =====
+    setupEventListeners() {
+        this.listen(this.canvas, 'pointerdown', (e) => {
+            this.canvas.setPointerCapture(e.pointerId);
+            const [x, y] = this.canvasPoint(e);
+            this.pointers.push({ id: e.pointerId, x, y, dx: 0, dy: 0, moved: false, color: this.getRandomColor() });
+        });
+        this.listen(this.canvas, 'pointermove', (e) => {
+            const pointer = this.pointers.find(p => p.id === e.pointerId);
+            if (!pointer) return;
+            const [x, y] = this.canvasPoint(e);
+            // Force follows the distance moved as a fraction of the canvas height
+            const force = this.config.splatForce / this.canvas.height;
+            pointer.dx += (x - pointer.x) * force;
+            pointer.dy += (y - pointer.y) * force;
+            pointer.x = x;
+            pointer.y = y;
+            pointer.moved = true;
+        });
+        const end = (e) => {
+            this.pointers = this.pointers.filter(p => p.id !== e.pointerId);
+        };
+        this.listen(this.canvas, 'pointerup', end);
+        this.listen(this.canvas, 'pointercancel', end);
+    }
+
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [
+            (e.clientX - rect.left) * this.canvas.width / rect.width,
+            (e.clientY - rect.top) * this.canvas.height / rect.height
+        ];
+    }
+
+    // One splat per moving pointer per step, with the motion since the last one
+    applyInputs() {
+        this.pointers.forEach(pointer => {
+            if (!pointer.moved) return;
+            this.splat(pointer.x, pointer.y, pointer.dx, pointer.dy, pointer.color);
+            pointer.dx = 0;
+            pointer.dy = 0;
+            pointer.moved = false;
+        });
+    }
+}
+
+function createField(width, height, components) {
+    return { width, height, components, data: new Float32Array(width * height * components) };
+}
+
+// A new field of the given size, filled by sampling field where there is one
+function resampleField(field, width, height, components, wrap) {
+    const result = createField(width, height, components);
+    if (!field) return result;
+
+    const sample = new Array(components);
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            sampleField(field, (i + 0.5) / width, (j + 0.5) / height, wrap, sample);
+            result.data.set(sample, (j * width + i) * components);
+        }
+    }
+    return result;
+}
+
+// Offset of texel (i, j), clamped to the edge or wrapped around, like the
+// GPU's CLAMP_TO_EDGE lookups and wrapUv()
+function texelIndex(field, i, j, wrap) {
+    const { width, height } = field;
+    if (wrap) {
+        i = (i % width + width) % width;
+        j = (j % height + height) % height;
+    } else {
+        i = i < 0 ? 0 : i >= width ? width - 1 : i;
+        j = j < 0 ? 0 : j >= height ? height - 1 : j;
+    }
+    return (j * width + i) * field.components;
+}
+
+// Bilinear sample at 0-1 texture coordinates (u, v) into out (sampleVec)
+function sampleField(field, u, v, wrap, out) {
+    const x = u * field.width - 0.5;
+    const y = v * field.height - 0.5;
+    const i = Math.floor(x);
+    const j = Math.floor(y);
+    const fx = x - i;
+    const fy = y - j;
+
+    const data = field.data;
+    const a = texelIndex(field, i, j, wrap);
+    const b = texelIndex(field, i + 1, j, wrap);
+    const c = texelIndex(field, i, j + 1, wrap);
+    const d = texelIndex(field, i + 1, j + 1, wrap);
+    for (let k = 0; k < field.components; k++) {
+        const bottom = data[a + k] + (data[b + k] - data[a + k]) * fx;
+        const top = data[c + k] + (data[d + k] - data[c + k]) * fx;
+        out[k] = bottom + (top - bottom) * fy;
+    }
+    return out;
+}
+
+function clamp(value, min, max) {
+    return value < min ? min : value > max ? max : value;
+}
+
+// Scratch output for one-component samples
+const SAMPLE = [0];
+
+// Same fixed timestep and frame-gap limit as FluidSimulation
+const FIXED_DT = 0.016;
+const MAX_FRAME_GAP = 250;
+// Jacobi passes between residual checks when solving to a tolerance
+const TOLERANCE_CHECK_PASSES = 8;
@@ -0,0 +1,141 @@
+// ===== CPU Solver Checks =====
+// Run with: node fluid-cpu.test.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CpuFluidSimulation } from './fluid-cpu.js';
+
+// A small headless simulation with a block of obstacle cells and some splats
+function createSimulation(config, obstacle = true) {
+    const sim = new CpuFluidSimulation(null, {
+        width: 300,
+        height: 200,
+        seed: 7,
+        config: { simResolution: 24, dyeResolution: 24, ...config }
+    });
+    const obstacles = sim.obstacles;
+    for (let j = 8; j < 14 && obstacle; j++) {
+        for (let i = 10; i < 16; i++) obstacles.data[j * obstacles.width + i] = 1;
+    }
+    sim.multipleSplats(5);
+    return sim;
+}
+
+// Divergence left by projecting the same flow with the given pressure passes
+function remainingDivergence(config) {
+    const sim = createSimulation(config);
+    const before = sim.measureDivergence();
+    sim.project();
+    return { before, after: sim.measureDivergence() };
+}
+
+function sumDye(sim) {
+    const total = sim.totalDye();
+    return total.r + total.g + total.b;
+}
+
+// ===== Divergence =====
+['walls', 'periodic', 'open'].forEach(boundary => {
+    test(`projection levels the divergence off at a floor with ${boundary} boundaries`, () => {
+        const short = remainingDivergence({ boundary, pressure: 200 });
+        const long = remainingDivergence({ boundary, pressure: 1000 });
+
+        assert.ok(short.before > 1, `divergence before projecting: ${short.before}`);
+        assert.ok(long.after < long.before, `divergence after projecting: ${long.after}`);
+        // Half differences against full ones: more passes don't take it lower
+        assert.ok(Math.abs(long.after - short.after) < 0.05 * long.after, `${short.after}, ${long.after}`);
+    });
+});
+
+// ===== Pressure Residual =====
+[['open', true], ['open', false], ['periodic', false]].forEach(([boundary, obstacle]) => {
+    test(`the pressure residual converges with ${boundary} boundaries${obstacle ? ' around an obstacle' : ''}`, () => {
+        const residual = [20, 1000].map(pressure => {
+            const sim = createSimulation({ boundary, pressure }, obstacle);
+            sim.project();
+            return sim.measurePressureResidual();
+        });
+        assert.ok(residual[1] < residual[0] / 100, residual.join(', '));
+    });
+});
+
+test('the pressure residual is averaged over the open cells only', () => {
+    const sim = createSimulation({});
+    sim.computeDivergence();
+    sim.pressure.data.fill(0);
+
+    const { width, height, data } = sim.divergence;
+    let sum = 0;
+    let count = 0;
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            if (sim.solidAt(i, j)) continue;
+            sum += data[j * width + i] ** 2;
+            count++;
+        }
+    }
+
+    assert.ok(count < width * height);
+    // With zero pressure the residual is the divergence itself
+    assert.ok(Math.abs(sim.measurePressureResidual() - Math.sqrt(sum / count)) < 1e-6);
+});
+
+test('no velocity is left inside obstacles or through walls', () => {
+    const sim = createSimulation({ pressure: 20 });
+    sim.step(0.016);
+    sim.project();
+
+    const { width, height, data } = sim.velocity;
+    let leaks = 0;
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const k = (j * width + i) * 2;
+            const solid = sim.solidAt(i, j);
+            if ((solid || sim.solidAt(i - 1, j) || sim.solidAt(i + 1, j)) && data[k] !== 0) leaks++;
+            if ((solid || sim.solidAt(i, j - 1) || sim.solidAt(i, j + 1)) && data[k + 1] !== 0) leaks++;
+        }
+    }
+    assert.equal(leaks, 0);
+});
+
+// ===== Dye =====
+['walls', 'periodic'].forEach(boundary => {
+    test(`a gentle stir keeps the dye with ${boundary} boundaries`, () => {
+        const sim = new CpuFluidSimulation(null, {
+            width: 300,
+            height: 200,
+            seed: 7,
+            config: { simResolution: 32, dyeResolution: 32, boundary, diffusion: 0, viscosity: 0, curl: 0 }
+        });
+        sim.splat(150, 100, 50, 30, { r: 1, g: 1, b: 1 }, 0.01);
+        const before = sumDye(sim);
+        for (let n = 0; n < 60; n++) sim.step(0.016);
+
+        // The divergence floor lets advection lose some, some 7% here;
+        // a still fluid loses none
+        const ratio = sumDye(sim) / before;
+        assert.ok(ratio > 0.9 && ratio <= 1, `dye kept: ${ratio}`);
+    });
+});
+
+test('diffusion fades still dye by diffusion / 10 per step', () => {
+    const sim = createSimulation({ diffusion: 0.8 }, false);
+    sim.velocity.data.fill(0);
+    const before = sumDye(sim);
+    sim.step(0.016);
+    assert.ok(Math.abs(sumDye(sim) / before - 0.92) < 1e-6, `${sumDye(sim) / before}`);
+});
+
+// ===== Vorticity =====
+test('curlScale scales the vorticity confinement', () => {
+    const still = createSimulation({ curl: 0 });
+    const scaled = createSimulation({ curl: 30 });
+    scaled.curlScale = 0;
+    still.step(0.016);
+    scaled.step(0.016);
+    assert.deepEqual(scaled.velocity.data, still.velocity.data);
+
+    const stirred = createSimulation({ curl: 30 });
+    stirred.step(0.016);
+    assert.notDeepEqual(stirred.velocity.data, still.velocity.data);
+});
@@ -1,103 +1,675 @@
 // ===== WebGL Fluid Simulation Engine =====
 // Based on GPU-accelerated Navier-Stokes equations
+//
+// Usage:
+//   import { FluidSimulation } from './fluid.js';
+//   const sim = new FluidSimulation(canvas, { config: { curl: 10 } });
+//   sim.on('frame', ({ dt, step }) => { ... });
+//   sim.destroy();
+//
+// Options:
+//   config       overrides for the default config
+//   seed         seed for every random choice (default: random)
+//   autoStart    start the animation loop right away (default: true)
+//   interactive  paint with mouse, pen or touch on the canvas (default: true)
+//
+// Events: 'frame' { dt, steps, step }, 'splat' { x, y, dx, dy, color, radius, weight }, 'resize' { width, height },
+//         'emitters' { emitters }, 'contextlost', 'contextrestored', 'error' (an Error, e.g. a ShaderError)
+//
+// The simulation advances in fixed 16 ms steps, as many per frame
+// as real time times config.timeScale calls for (at most config.maxSubsteps).
+// pause() freezes it while still drawing, stepForward() advances it by hand and
+// start() resumes it. A frame's dt is the simulated time it covered, often 0.
+//
+// The drawing buffer is the canvas' CSS size times devicePixelRatio, capped at
+// config.maxPixelRatio; splat(), addObstacle() and 'resize' use its pixels.
+//
+// Grids are sized to the canvas aspect ratio, with simResolution/dyeResolution
+// cells along the short side. Changing them through applyConfig() resamples the
+// current state; config.adaptiveQuality lowers them while config.targetFPS is missed.
+//
+// Colors come from config.colorScheme: one of the built-in schemes or a palette
+// added with setColorScheme(name, [{ r, g, b }, ...]). config.colorStrategy picks
+// where in the palette a stroke samples (one of COLOR_STRATEGIES). Setting
+// strokeColor to an { r, g, b } color paints pointer strokes in it instead.
+//
+// config.displayMode shows the dye or one of the solver's fields (DISPLAY_MODES),
+// config.displayLayout places it full screen, split or picture-in-picture.
+//
+// config.pressureSolver picks the projection solver (PRESSURE_SOLVERS);
+// solverStats reports the passes it took and, when measured, the residual.
+//
+// config.fireMode adds a temperature field: heat rises (config.buoyancy), cools
+// towards config.ambientTemperature and, with the 'fire' scheme, glows.
+//
+// loadDyeImage() paints an image into the dye; setMediaSource() streams a video
+// into the dye or velocity every step (MEDIA_TARGETS, MEDIA_BLENDS, MEDIA_FITS).
+//
+// config.particles adds GPU tracers carried by the flow, drawn as points or
+// streaks over the dye or on their own (PARTICLE_STYLES, PARTICLE_COLORS,
+// PARTICLE_LAYERS); config.particleSpawn picks where they respawn (PARTICLE_SPAWNS).
+// Devices without enough vertex texture units skip them (supportParticles).
+//
+// addEmitter() places a persistent jet, fountain, vortex or dye source that
+// splats every step (EMITTER_TYPES); getEmitters()/setEmitters() save and load them.
+//
+// config.profiling times every pass on the GPU where timer queries exist
+// (getProfile(), exportProfile()); frameStats holds the last frame's wall time
+// and draw calls, fboMemory the bytes held by framebuffers.
+//
+// config.boundary sets the domain edges (BOUNDARY_MODES); change it through
+// applyConfig(), since it recompiles the shaders.
+//
+// Construction throws WebGLUnsupportedError when no WebGL context is available
+// and ShaderError when a shader fails to compile or link.
+
+
+export class FluidSimulation {
+    constructor(canvas, options = {}) {
+        const {
+            config = {},
+            seed = Math.floor(Math.random() * 0x100000000),
+            autoStart = true,
+            interactive = true
+        } = options;
 
-class FluidSimulation {
-    constructor(canvas) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl2', {
+
+        // WebGL 2 first; the shaders are GLSL ES 1.0 so WebGL 1 works too
+        const contextAttributes = {
             alpha: false,
             depth: false,
             stencil: false,
             antialias: false,
             preserveDrawingBuffer: false
-        });
-
+        };
+        this.gl = canvas.getContext('webgl2', contextAttributes);
+        this.isWebGL2 = !!this.gl;
         if (!this.gl) {
-            alert('WebGL 2 not supported!');
-            return;
+            this.gl = canvas.getContext('webgl', contextAttributes) ||
+                canvas.getContext('experimental-webgl', contextAttributes);
         }
 
+        if (!this.gl) {
+            throw new WebGLUnsupportedError();
+        }
 
-        // Enable extensions if available
-        this.gl.getExtension('EXT_color_buffer_float');
-        this.gl.getExtension('OES_texture_float_linear');
-
-        // Use universally supported RGBA8 format for maximum compatibility
-        this.formatRGBA = {
-            internalFormat: this.gl.RGBA,
-            format: this.gl.RGBA,
-            type: this.gl.UNSIGNED_BYTE
-        };
-        this.formatRG = this.formatRGBA;  // Fallback to RGBA for RG
-        this.formatR = this.formatRGBA;   // Fallback to RGBA for R
+        // Pick the best simulation texture formats this device can render to
+        this.initFormats();
 
         // Simulation parameters
         this.config = {
             simResolution: 256,
             dyeResolution: 1024,
+            adaptiveQuality: false,
+            targetFPS: 60,
+            timeScale: 1,
+            maxSubsteps: 4,
             viscosity: 20,
             diffusion: 0.8,
             pressure: 20,
+            pressureSolver: 'jacobi',
+            pressureOmega: 1.7,
+            pressureTolerance: 0,
+            measureResidual: false,
+            profiling: false,
             curl: 30,
-            splatRadius: 0.5,
-            colorScheme: 'neon'
-        };
+            splatRadius: 0.005,
+            splatForce: 5000,
+            pointerPressure: true,
+            maxPixelRatio: 2,
+            boundary: 'walls',
+            fireMode: false,
+            ambientTemperature: 0,
+            buoyancy: 40,
+            cooling: 0.8,
+            smokeWeight: 10,
+            colorScheme: 'neon',
+            colorStrategy: 'random',
+            colorGradient: false,
+            hueCycle: false,
+            hueCycleSpeed: 0.05,
+            displayMode: 'dye',
+            displayLayout: 'single',
+            displayAutoRange: true,
+            particles: false,
+            particleCount: 65536,
+            particleSize: 2,
+            particleStyle: 'points',
+            particleColor: 'speed',
+            particleLayer: 'over',
+            particleLifetime: 4,
+            particleSpawn: 'random',
+            obstacleColor: { r: 0.1, g: 0.1, b: 0.16 },
+            obstacleBrush: 12,
 
-        // Color schemes
-        this.colorSchemes = {
-            neon: [
-                { r: 0.0, g: 0.95, b: 1.0 },  // Cyan
-                { r: 1.0, g: 0.0, b: 1.0 },   // Magenta
-                { r: 0.69, g: 0.15, b: 1.0 }  // Purple
-            ],
-            rainbow: [
-                { r: 1.0, g: 0.0, b: 0.0 },   // Red
-                { r: 1.0, g: 0.5, b: 0.0 },   // Orange
-                { r: 1.0, g: 1.0, b: 0.0 },   // Yellow
-                { r: 0.0, g: 1.0, b: 0.0 },   // Green
-                { r: 0.0, g: 0.5, b: 1.0 },   // Blue
-                { r: 0.5, g: 0.0, b: 1.0 }    // Purple
-            ],
-            fire: [
-                { r: 1.0, g: 0.0, b: 0.0 },   // Red
-                { r: 1.0, g: 0.5, b: 0.0 },   // Orange
-                { r: 1.0, g: 1.0, b: 0.0 }    // Yellow
-            ],
-            ocean: [
-                { r: 0.0, g: 0.4, b: 0.8 },   // Deep Blue
-                { r: 0.0, g: 0.8, b: 1.0 },   // Cyan
-                { r: 0.0, g: 1.0, b: 0.8 }    // Turquoise
-            ]
+            // Post-processing
+            bloom: true,
+            bloomIterations: 8,
+            bloomResolution: 256,
+            bloomIntensity: 0.8,
+            bloomThreshold: 0.6,
+            bloomSoftKnee: 0.7,
+            sunrays: true,
+            sunraysResolution: 196,
+            sunraysWeight: 1.0,
+            shading: true,
+            dithering: true,
+            backgroundColor: { r: 0.0, g: 0.0, b: 0.0 },
+            backgroundGradient: false,
+            backgroundGradientColor: { r: 0.05, g: 0.0, b: 0.12 }
         };
 
+        // Color schemes: copies of the built-ins plus any added with setColorScheme()
+        this.colorSchemes = {};
+        for (const name in BUILT_IN_COLOR_SCHEMES) {
+            this.colorSchemes[name] = BUILT_IN_COLOR_SCHEMES[name].map(c => ({ ...c }));
+        }
+        // Advances once per stroke for the 'sequential' strategy
+        this.colorSequence = 0;
+        // Fixed color for pointer strokes, e.g. a collaborator's own; null uses the palette
+        this.strokeColor = null;
+        // Multiplies config.curl without changing it, e.g. for audio
+        // modulation that shouldn't end up in presets or shared sessions
+        this.curlScale = 1;
+
+        Object.assign(this.config, config);
+
         this.pointers = [];
         this.splatStack = [];
 
+        // Every random choice goes through this.random so runs can be reproduced
+        this.setSeed(seed);
+
+        // DOM listeners we added, so destroy() can take them all back off
+        this.domListeners = [];
+        // Handlers registered through on()
+        this.eventHandlers = {};
+
+        this.interactive = interactive;
+        this.frameId = null;
+        this.paused = false;
+        // Fixed-timestep clock: real time owed to the simulation, and steps
+        // requested through stepForward()
+        this.clock = { lastFrame: null, accumulator: 0, pendingSteps: 0 };
+
+        // Last frame's wall time (ms) and draw calls; per-pass timings come
+        // from the profiler while config.profiling is on
+        this.frameStats = { frameTime: 0, drawCalls: 0 };
+        this.drawCalls = 0;
+        this.profiler = null;
+        // Set while a pressure solve runs, so each iteration (or V-cycle
+        // level) is timed as its own pass
+        this.profilePass = null;
+        // Bytes held by every live framebuffer texture
+        this.fboMemory = 0;
+
+        // Latest pressure solve; residual only updates when it is measured
+        this.solverStats = { solver: null, passes: 0, residual: null };
+
+        // Colormap range of the field view; auto-ranging updates it every few frames
+        this.displayRange = { mode: null, value: 1, countdown: 0 };
+
+        // Adaptive quality: each level halves both grid resolutions
+        this.adaptiveLevel = 0;
+        this.adaptive = { windowStart: 0, frames: 0, lastFrame: 0, holdUntil: 0 };
+
+        // Simulation steps taken so far; input recordings are timed against it
+        this.stepCount = 0;
+        this.inputRecording = null;
+        this.replay = null;
+
+        // Ordered post-processing chain; each entry is toggled by config[name]
+        this.postEffects = [
+            { name: 'sunrays', apply: (source) => this.applySunrays(source) },
+            { name: 'bloom', apply: (source) => this.applyBloom(source) }
+        ];
+
+        // Active obstacle drawing tool: null (paint fluid), 'circle', 'rect', 'freehand' or 'erase'
+        this.obstacleTool = null;
+        this.obstacleStroke = null;
+
+        // Persistent emitters, applied every step; see addEmitter()
+        this.emitters = [];
+        this.nextEmitterId = 1;
+        // Emitter type placed by clicking the canvas, or null
+        this.emitterTool = null;
+        this.emitterPlacement = null;
+
+        // Video streamed into a field every step; see setMediaSource()
+        this.mediaSource = null;
+
+        // Particle state, allocated while config.particles is on
+        this.particles = null;
+
         this.init();
+        if (autoStart) this.start();
     }
 
     init() {
         this.resizeCanvas();
         this.initPrograms();
         this.initFramebuffers();
-        this.setupEventListeners();
-        this.update();
+        this.setupContextListeners();
+        if (this.interactive) this.setupEventListeners();
+    }
+
+    // ===== Context Loss =====
+    setupContextListeners() {
+        // Grab this up front: extensions can't be queried once the context is gone
+        this.loseContextExt = this.gl.getExtension('WEBGL_lose_context');
+        this.contextLost = false;
+
+        this.listen(this.canvas, 'webglcontextlost', (e) => {
+            // Without preventDefault the browser never restores the context
+            e.preventDefault();
+            this.contextLost = true;
+            this.resumeAfterRestore = this.frameId !== null;
+            this.stop();
+            this.emit('contextlost');
+        });
+
+        this.listen(this.canvas, 'webglcontextrestored', () => {
+            this.restoreContext();
+        });
+    }
+
+    // Rebuilds every GL object from scratch. Config, seed and step count are
+    // plain JS state and carry over; field contents and obstacles do not.
+    restoreContext() {
+        this.contextLost = false;
+
+        // The old objects died with the context; don't try to delete them
+        this.fboMemory = 0;
+        this.profiler = null;
+        this.bloom = null;
+        this.sunrays = null;
+        this.divergence = null;
+        // A new media texture is made on the next upload
+        if (this.mediaSource) this.mediaSource.texture = null;
+        // Particles respawn on the next step
+        this.particles = null;
+
+        try {
+            this.initFormats();
+            this.initPrograms();
+            this.initFramebuffers();
+        } catch (err) {
+            this.emit('error', err);
+            return;
+        }
+        this.emit('contextrestored');
+
+        if (this.resumeAfterRestore) {
+            if (this.paused) this.pause();
+            else this.start();
+        }
+    }
+
+    // Debug hook: simulates a GPU reset, restoring after restoreAfter ms.
+    // Throws where the browser doesn't expose WEBGL_lose_context.
+    debugLoseContext(restoreAfter = 1000) {
+        const ext = this.loseContextExt;
+        if (!ext) throw new Error('WEBGL_lose_context is not available');
+        ext.loseContext();
+        setTimeout(() => ext.restoreContext(), restoreAfter);
     }
 
+    // Sizes the drawing buffer to the canvas' CSS box times the device pixel
+    // ratio (capped at config.maxPixelRatio), so several instances of any size
+    // can share a page and stay sharp on high-DPI screens
     resizeCanvas() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const ratio = Math.min(window.devicePixelRatio || 1, this.config.maxPixelRatio);
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        // Sizes meant in CSS pixels (brushes, glyphs, particles) scale by this
+        this.pixelRatio = ratio;
 
-        if (this.canvas.width !== width || this.canvas.height !== height) {
+        if (width > 0 && height > 0 && (this.canvas.width !== width || this.canvas.height !== height)) {
             this.canvas.width = width;
             this.canvas.height = height;
+            // Grids follow the new aspect ratio, keeping their content
+            if (this.velocity) this.resizeFramebuffers();
+            this.emit('resize', { width, height });
+        }
+    }
+
+    // ===== Lifecycle =====
+    // Runs (or resumes) the animation loop
+    start() {
+        this.paused = false;
+        if (this.frameId === null && !this.contextLost) {
+            this.frameId = requestAnimationFrame(() => this.update());
+        }
+    }
+
+    // Halts the animation loop entirely; nothing is drawn until start()
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        // The time spent stopped isn't owed to the simulation
+        this.clock.lastFrame = null;
+    }
+
+    // Freezes the simulation but keeps drawing, so overlays and tools stay live
+    pause() {
+        this.paused = true;
+        if (this.frameId === null && !this.contextLost) {
+            this.frameId = requestAnimationFrame(() => this.update());
+        }
+    }
+
+    // Advances count fixed steps on the next frame, pausing first if running
+    stepForward(count = 1) {
+        if (!this.paused) this.pause();
+        this.clock.pendingSteps += count;
+    }
+
+    // Stops the loop, frees every GL object and removes all listeners.
+    // The instance can't be used afterwards.
+    destroy() {
+        this.stop();
+        if (this.recording) this.stopRecording();
+        this.clearMediaSource();
+        if (this.particles) this.deleteParticles();
+        if (this.profiler) this.profiler.delete();
+
+        this.domListeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.domListeners = [];
+        this.eventHandlers = {};
+
+        this.deleteFramebuffers();
+        this.deletePrograms();
+
+        this.pointers = [];
+        this.destroyed = true;
+    }
+
+    deletePrograms() {
+        Object.values(this.programs)
+            .concat(Object.values(this.displayPrograms))
+            .forEach(program => this.deleteProgram(program));
+        this.gl.deleteBuffer(this.vertexBuffer);
+    }
+
+    // Shader keywords depend on config.boundary, so changing it recompiles everything
+    rebuildPrograms() {
+        this.deletePrograms();
+        this.initPrograms();
+    }
+
+    // ===== Events =====
+    on(type, handler) {
+        (this.eventHandlers[type] = this.eventHandlers[type] || []).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.eventHandlers[type];
+        if (handlers) this.eventHandlers[type] = handlers.filter(h => h !== handler);
+    }
+
+    emit(type, detail) {
+        const handlers = this.eventHandlers[type];
+        if (handlers) handlers.forEach(handler => handler(detail));
+    }
+
+    // addEventListener that destroy() knows how to undo
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target, type, handler, options });
+    }
+
+    // ===== Texture Formats =====
+    initFormats() {
+        const gl = this.gl;
+
+        this.formatRGBA = null;
+        this.formatRG = null;
+        this.formatR = null;
+        this.encodedFields = false;
+
+        if (this.isWebGL2) {
+            const colorBufferFloat = gl.getExtension('EXT_color_buffer_float');
+            this.supportLinearFiltering = !!gl.getExtension('OES_texture_float_linear');
+
+            if (colorBufferFloat) {
+                this.formatRGBA = this.getSupportedFormat(gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT);
+                this.formatRG = this.getSupportedFormat(gl.RG16F, gl.RG, gl.HALF_FLOAT);
+                this.formatR = this.getSupportedFormat(gl.R16F, gl.RED, gl.HALF_FLOAT);
+            }
+        } else {
+            // WebGL 1 has no RG/R formats, and internal format must equal format
+            const halfFloat = gl.getExtension('OES_texture_half_float');
+            gl.getExtension('EXT_color_buffer_half_float');
+            this.supportLinearFiltering = !!gl.getExtension('OES_texture_half_float_linear');
+
+            if (halfFloat) {
+                this.formatRGBA = this.getSupportedFormat(gl.RGBA, gl.RGBA, halfFloat.HALF_FLOAT_OES);
+                this.formatRG = this.formatRGBA;
+                this.formatR = this.formatRGBA;
+            }
+        }
+
+        if (!this.formatRGBA || !this.formatRG || !this.formatR) {
+            // RGBA8-only device: dye stays plain RGBA8, while the signed
+            // simulation fields are packed into it as 16-bit fixed point
+            this.formatRGBA = {
+                internalFormat: gl.RGBA,
+                format: gl.RGBA,
+                type: gl.UNSIGNED_BYTE
+            };
+            this.formatRG = this.formatRGBA;
+            this.formatR = this.formatRGBA;
+            this.encodedFields = true;
+        }
+
+        // Plain 8-bit RGBA for masks and captures
+        this.formatRGBA8 = {
+            internalFormat: gl.RGBA,
+            format: gl.RGBA,
+            type: gl.UNSIGNED_BYTE
+        };
+
+        // Particles read their state in the vertex shader: state, previous
+        // state, velocity, dye and palette
+        this.supportParticles = gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) >= 5;
+
+        // Encoded fields can't be filtered by the GPU, and RGBA8 dye always can
+        this.dyeFilter = this.encodedFields || this.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+        this.simFilter = !this.encodedFields && this.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+    }
+
+    getSupportedFormat(internalFormat, format, type) {
+        const gl = this.gl;
+
+        if (this.supportRenderTextureFormat(internalFormat, format, type)) {
+            return { internalFormat, format, type };
+        }
+
+        // Fall back to a wider format with the same precision (WebGL 2 only)
+        if (!this.isWebGL2) return null;
+        switch (internalFormat) {
+            case gl.R16F:
+                return this.getSupportedFormat(gl.RG16F, gl.RG, type);
+            case gl.RG16F:
+                return this.getSupportedFormat(gl.RGBA16F, gl.RGBA, type);
+            default:
+                return null;
         }
     }
 
+    supportRenderTextureFormat(internalFormat, format, type) {
+        const gl = this.gl;
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, 4, 4, 0, format, type, null);
+
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(fbo);
+        gl.deleteTexture(texture);
+
+        return status === gl.FRAMEBUFFER_COMPLETE;
+    }
+
     // ===== Shader Programs =====
     initPrograms() {
         const gl = this.gl;
 
+        // Shared field helpers, prepended to every fragment shader.
+        // Simulation fields (velocity, pressure, curl, divergence) go through
+        // encode/decode so the RGBA8 fallback can pack signed values.
+        const fieldLibrary = `
+            precision highp float;
+
+            #define FIELD_RANGE ${FIELD_RANGE.toFixed(1)}
+
+            vec2 packUnit16(float v) {
+                float x = floor(clamp(v, 0.0, 1.0) * 65534.0 + 0.5);
+                float hi = floor(x / 256.0);
+                return vec2(hi, x - hi * 256.0) / 255.0;
+            }
+
+            float unpackUnit16(vec2 c) {
+                vec2 b = floor(c * 255.0 + 0.5);
+                return (b.x * 256.0 + b.y) / 65534.0;
+            }
+
+            // Readback packing for RGBA8 targets: symmetric log, 0.5 is zero
+            // and each side spans 2^-16 to 2^16 (see unpackLog)
+            vec2 packLog(float v) {
+                float m = clamp((log2(max(abs(v), 1e-20)) + 16.0) / 32.0, 0.0, 1.0);
+                return packUnit16(0.5 + 0.5 * sign(v) * m);
+            }
+
+            #ifdef ENCODED_FIELDS
+            vec2 decodeVec(vec4 c) {
+                return (vec2(unpackUnit16(c.rg), unpackUnit16(c.ba)) * 2.0 - 1.0) * FIELD_RANGE;
+            }
+
+            vec4 encodeVec(vec2 v) {
+                vec2 n = v / FIELD_RANGE * 0.5 + 0.5;
+                return vec4(packUnit16(n.x), packUnit16(n.y));
+            }
+            #else
+            vec2 decodeVec(vec4 c) {
+                return c.xy;
+            }
+
+            vec4 encodeVec(vec2 v) {
+                return vec4(v, 0.0, 1.0);
+            }
+            #endif
+
+            float decodeScalar(vec4 c) {
+                return decodeVec(c).x;
+            }
+
+            vec4 encodeScalar(float v) {
+                return encodeVec(vec2(v, 0.0));
+            }
+
+            // Domain edges (config.boundary): walls treat the outside as solid,
+            // periodic wraps every lookup, open edges hold zero pressure outside
+            #ifdef BOUNDARY_PERIODIC
+            #define MANUAL_WRAP
+            #endif
+
+            float outsideDomain(vec2 uv) {
+                return 1.0 - step(0.0, uv.x) * step(uv.x, 1.0) * step(0.0, uv.y) * step(uv.y, 1.0);
+            }
+
+            vec2 wrapUv(vec2 uv) {
+            #ifdef BOUNDARY_PERIODIC
+                return fract(uv);
+            #else
+                return uv;
+            #endif
+            }
+
+            vec2 readVec(sampler2D tex, vec2 uv) {
+                return decodeVec(texture2D(tex, wrapUv(uv)));
+            }
+
+            float readScalar(sampler2D tex, vec2 uv) {
+                return decodeScalar(texture2D(tex, wrapUv(uv)));
+            }
+
+            // 1.0 inside a solid obstacle or wall, 0.0 in open fluid
+            float solidAt(sampler2D obstacles, vec2 uv) {
+                float solid = step(0.5, texture2D(obstacles, wrapUv(uv)).x);
+            #ifdef BOUNDARY_WALLS
+                solid = max(solid, outsideDomain(uv));
+            #endif
+                return solid;
+            }
+
+            // Pressure a cell sees at a neighbour: solids mirror the centre
+            // value (no flow through them), open edges are at zero
+            float pressureAt(sampler2D pressure, sampler2D obstacles, vec2 uv, float centre) {
+                float p = mix(readScalar(pressure, uv), centre, solidAt(obstacles, uv));
+            #ifdef BOUNDARY_OPEN
+                p *= 1.0 - outsideDomain(uv);
+            #endif
+                return p;
+            }
+
+            // Filtered field sample at an arbitrary position; wrapping needs
+            // manual filtering so the seam blends across the edge
+            vec2 sampleVec(sampler2D tex, vec2 uv, vec2 tsize) {
+            #if defined(ENCODED_FIELDS) || defined(MANUAL_FILTERING) || defined(MANUAL_WRAP)
+                vec2 st = uv / tsize - 0.5;
+                vec2 iuv = floor(st);
+                vec2 fuv = fract(st);
+                vec2 a = readVec(tex, (iuv + vec2(0.5, 0.5)) * tsize);
+                vec2 b = readVec(tex, (iuv + vec2(1.5, 0.5)) * tsize);
+                vec2 c = readVec(tex, (iuv + vec2(0.5, 1.5)) * tsize);
+                vec2 d = readVec(tex, (iuv + vec2(1.5, 1.5)) * tsize);
+                return mix(mix(a, b, fuv.x), mix(c, d, fuv.x), fuv.y);
+            #else
+                return readVec(tex, uv);
+            #endif
+            }
+
+            // Filtered dye sample at an arbitrary position
+            vec4 sampleColor(sampler2D tex, vec2 uv, vec2 tsize) {
+            #if defined(MANUAL_FILTERING) || defined(MANUAL_WRAP)
+                vec2 st = uv / tsize - 0.5;
+                vec2 iuv = floor(st);
+                vec2 fuv = fract(st);
+                vec4 a = texture2D(tex, wrapUv((iuv + vec2(0.5, 0.5)) * tsize));
+                vec4 b = texture2D(tex, wrapUv((iuv + vec2(1.5, 0.5)) * tsize));
+                vec4 c = texture2D(tex, wrapUv((iuv + vec2(0.5, 1.5)) * tsize));
+                vec4 d = texture2D(tex, wrapUv((iuv + vec2(1.5, 1.5)) * tsize));
+                return mix(mix(a, b, fuv.x), mix(c, d, fuv.x), fuv.y);
+            #else
+                return texture2D(tex, uv);
+            #endif
+            }
+        `;
+
+        const globalKeywords = ['BOUNDARY_' + this.config.boundary.toUpperCase()];
+        if (this.encodedFields) globalKeywords.push('ENCODED_FIELDS');
+        else if (!this.supportLinearFiltering) globalKeywords.push('MANUAL_FILTERING');
+
+        const fragment = (source, keywords = []) =>
+            globalKeywords.concat(keywords).map(k => `#define ${k}\n`).join('') + fieldLibrary + source;
+
         // Base vertex shader (used by all programs)
         const baseVertexShader = `
             precision highp float;
@@ -119,18 +691,197 @@ class FluidSimulation {
             }
         `;
 
-        // Display shader
+        // Display shader (final composite; effects are enabled by keyword)
         const displayFragmentShader = `
             precision highp float;
             varying vec2 vUv;
+            varying vec2 vL;
+            varying vec2 vR;
+            varying vec2 vT;
+            varying vec2 vB;
             uniform sampler2D uTexture;
+            uniform sampler2D uBloom;
+            uniform sampler2D uSunrays;
+            uniform sampler2D uObstacle;
+            uniform sampler2D uTemperature;
+            uniform vec2 texelSize;
+            uniform vec2 temperatureTexelSize;
+            uniform vec3 obstacleColor;
+            uniform vec3 backgroundBottom;
+            uniform vec3 backgroundTop;
+            uniform float ambient;
+            
+            // Black -> red -> yellow -> white, roughly how hot things glow
+            vec3 blackbody(float t) {
+                return clamp(vec3(3.0 * t, 3.0 * t - 1.0, 3.0 * t - 2.0), 0.0, 1.0);
+            }
             
             void main() {
+            #ifdef HIDE_DYE
+                // Particles only: background and obstacles under them
+                vec3 color = vec3(0.0);
+            #else
                 vec3 color = texture2D(uTexture, vUv).rgb;
+            #endif
+
+            #ifdef TEMPERATURE
+                float heat = clamp(sampleVec(uTemperature, vUv, temperatureTexelSize).x - ambient, 0.0, 1.0);
+            #ifdef BLACKBODY
+                // Dye is fuel: it burns with the temperature ramp and cools to grey smoke
+                float fuel = max(color.r, max(color.g, color.b));
+                color = fuel * (blackbody(heat) + vec3(0.1) * (1.0 - heat));
+            #else
+                // Dye fades as the fluid carrying it cools
+                color *= mix(0.25, 1.0, heat);
+            #endif
+            #endif
+
+            #ifdef SHADING
+                // Treat dye brightness as a height field and light it from the viewer
+                vec3 lc = texture2D(uTexture, wrapUv(vL)).rgb;
+                vec3 rc = texture2D(uTexture, wrapUv(vR)).rgb;
+                vec3 tc = texture2D(uTexture, wrapUv(vT)).rgb;
+                vec3 bc = texture2D(uTexture, wrapUv(vB)).rgb;
+                float dx = length(rc) - length(lc);
+                float dy = length(tc) - length(bc);
+                vec3 n = normalize(vec3(dx, dy, length(texelSize)));
+                float diffuse = clamp(dot(n, vec3(0.0, 0.0, 1.0)) + 0.7, 0.7, 1.0);
+                color *= diffuse;
+            #endif
+
+            #ifdef BLOOM
+                vec3 bloom = texture2D(uBloom, vUv).rgb;
+            #endif
+
+            #ifdef SUNRAYS
+                float sunrays = texture2D(uSunrays, vUv).r;
+                color *= sunrays;
+            #ifdef BLOOM
+                bloom *= sunrays;
+            #endif
+            #endif
+
+            #ifdef BLOOM
+                color += bloom;
+            #endif
+
+                // Background shows through wherever there is little dye
+                float alpha = clamp(max(color.r, max(color.g, color.b)), 0.0, 1.0);
+                color += mix(backgroundBottom, backgroundTop, vUv.y) * (1.0 - alpha);
+
+                color = mix(color, obstacleColor, texture2D(uObstacle, vUv).x);
+
+            #ifdef DITHERING
+                // Break up 8-bit banding in dark gradients
+                float noise = fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+                color += (noise - 0.5) / 255.0;
+            #endif
+
                 gl_FragColor = vec4(color, 1.0);
             }
         `;
 
+        // Bloom prefilter (soft-knee brightness threshold)
+        const bloomPrefilterFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform vec3 curve;
+            uniform float threshold;
+            
+            void main() {
+                vec3 c = texture2D(uTexture, vUv).rgb;
+                float br = max(c.r, max(c.g, c.b));
+                float rq = clamp(br - curve.x, 0.0, curve.y);
+                rq = curve.z * rq * rq;
+                c *= max(rq, br - threshold) / max(br, 0.0001);
+                gl_FragColor = vec4(c, 0.0);
+            }
+        `;
+
+        // Four-tap blur, used for the bloom mip chain and the sunrays mask
+        const blurFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            varying vec2 vL;
+            varying vec2 vR;
+            varying vec2 vT;
+            varying vec2 vB;
+            uniform sampler2D uTexture;
+            
+            void main() {
+                vec4 sum = texture2D(uTexture, vL);
+                sum += texture2D(uTexture, vR);
+                sum += texture2D(uTexture, vT);
+                sum += texture2D(uTexture, vB);
+                gl_FragColor = sum * 0.25;
+            }
+        `;
+
+        // Bloom final pass
+        const bloomFinalFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            varying vec2 vL;
+            varying vec2 vR;
+            varying vec2 vT;
+            varying vec2 vB;
+            uniform sampler2D uTexture;
+            uniform float intensity;
+            
+            void main() {
+                vec4 sum = texture2D(uTexture, vL);
+                sum += texture2D(uTexture, vR);
+                sum += texture2D(uTexture, vT);
+                sum += texture2D(uTexture, vB);
+                gl_FragColor = sum * 0.25 * intensity;
+            }
+        `;
+
+        // Sunrays mask (dark where there is dye)
+        const sunraysMaskFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            
+            void main() {
+                vec4 c = texture2D(uTexture, vUv);
+                float br = max(c.r, max(c.g, c.b));
+                c.a = 1.0 - min(max(br * 20.0, 0.0), 0.8);
+                gl_FragColor = c;
+            }
+        `;
+
+        // Sunrays shader (radial light scattering from the centre)
+        const sunraysFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform float weight;
+            
+            #define ITERATIONS 16
+            
+            void main() {
+                float density = 0.3;
+                float decay = 0.95;
+                float exposure = 0.7;
+
+                vec2 coord = vUv;
+                vec2 dir = (vUv - 0.5) * density / float(ITERATIONS);
+
+                float illuminationDecay = 1.0;
+                float color = texture2D(uTexture, vUv).a;
+
+                for (int i = 0; i < ITERATIONS; i++) {
+                    coord -= dir;
+                    color += texture2D(uTexture, coord).a * illuminationDecay * weight;
+                    illuminationDecay *= decay;
+                }
+
+                gl_FragColor = vec4(color * exposure, 0.0, 0.0, 1.0);
+            }
+        `;
+
         // Splat shader (add velocity and color)
         const splatFragmentShader = `
             precision highp float;
@@ -143,10 +894,27 @@ class FluidSimulation {
             
             void main() {
                 vec2 p = vUv - point.xy;
+            #ifdef BOUNDARY_PERIODIC
+                // Splats near an edge continue on the opposite side
+                p -= floor(p + 0.5);
+            #endif
                 p.x *= aspectRatio;
-                vec3 splat = exp(-dot(p, p) / radius) * color;
-                vec3 base = texture2D(uTarget, vUv).xyz;
-                gl_FragColor = vec4(base + splat, 1.0);
+                float falloff = exp(-dot(p, p) / radius);
+            #if defined(RADIAL)
+                // Outward from the point at speed color.x
+                vec3 splat = vec3(falloff * color.x * p / max(length(p), 1e-4), 0.0);
+            #elif defined(SWIRL)
+                // Counter-clockwise around the point at speed color.x
+                vec3 splat = vec3(falloff * color.x * vec2(-p.y, p.x) / max(length(p), 1e-4), 0.0);
+            #else
+                vec3 splat = falloff * color;
+            #endif
+                vec4 base = texture2D(uTarget, vUv);
+            #ifdef FIELD_TARGET
+                gl_FragColor = encodeVec(decodeVec(base) + splat.xy);
+            #else
+                gl_FragColor = vec4(base.xyz + splat, 1.0);
+            #endif
             }
         `;
 
@@ -156,13 +924,49 @@ class FluidSimulation {
             varying vec2 vUv;
             uniform sampler2D uVelocity;
             uniform sampler2D uSource;
+            uniform sampler2D uObstacle;
             uniform vec2 texelSize;
+            uniform vec2 sourceTexelSize;
             uniform float dt;
             uniform float dissipation;
+            uniform float ambient;
+            
+            void main() {
+                // Nothing is carried into or stored inside obstacles
+                float open = 1.0 - solidAt(uObstacle, vUv);
+                vec2 coord = vUv - dt * sampleVec(uVelocity, vUv, texelSize) * texelSize;
+            #if defined(COOLING)
+                // Temperature relaxes towards ambient instead of towards zero
+                float temperature = sampleVec(uSource, coord, sourceTexelSize).x;
+                gl_FragColor = encodeScalar(ambient + open * dissipation * (temperature - ambient));
+            #elif defined(FIELD_SOURCE)
+                gl_FragColor = encodeVec(open * dissipation * sampleVec(uSource, coord, sourceTexelSize));
+            #else
+                gl_FragColor = open * dissipation * sampleColor(uSource, coord, sourceTexelSize);
+            #endif
+            }
+        `;
+
+        // Buoyancy shader: hot fluid rises, smoke-laden fluid sinks
+        const buoyancyFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uVelocity;
+            uniform sampler2D uTemperature;
+            uniform sampler2D uDensity;
+            uniform vec2 dyeTexelSize;
+            uniform float dt;
+            uniform float ambient;
+            uniform float buoyancy;
+            uniform float smokeWeight;
             
             void main() {
-                vec2 coord = vUv - dt * texture2D(uVelocity, vUv).xy * texelSize;
-                gl_FragColor = dissipation * texture2D(uSource, coord);
+                vec2 velocity = readVec(uVelocity, vUv);
+                float temperature = readScalar(uTemperature, vUv);
+                vec4 dye = sampleColor(uDensity, vUv, dyeTexelSize);
+                float smoke = max(dye.r, max(dye.g, dye.b));
+                velocity.y += dt * (buoyancy * (temperature - ambient) - smokeWeight * smoke);
+                gl_FragColor = encodeVec(velocity);
             }
         `;
 
@@ -175,14 +979,16 @@ class FluidSimulation {
             varying vec2 vT;
             varying vec2 vB;
             uniform sampler2D uVelocity;
+            uniform sampler2D uObstacle;
             
             void main() {
-                float L = texture2D(uVelocity, vL).x;
-                float R = texture2D(uVelocity, vR).x;
-                float T = texture2D(uVelocity, vT).y;
-                float B = texture2D(uVelocity, vB).y;
+                // Solid neighbours contribute the wall velocity (zero)
+                float L = readVec(uVelocity, vL).x * (1.0 - solidAt(uObstacle, vL));
+                float R = readVec(uVelocity, vR).x * (1.0 - solidAt(uObstacle, vR));
+                float T = readVec(uVelocity, vT).y * (1.0 - solidAt(uObstacle, vT));
+                float B = readVec(uVelocity, vB).y * (1.0 - solidAt(uObstacle, vB));
                 float div = 0.5 * (R - L + T - B);
-                gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
+                gl_FragColor = encodeScalar(div);
             }
         `;
 
@@ -197,12 +1003,12 @@ class FluidSimulation {
             uniform sampler2D uVelocity;
             
             void main() {
-                float L = texture2D(uVelocity, vL).y;
-                float R = texture2D(uVelocity, vR).y;
-                float T = texture2D(uVelocity, vT).x;
-                float B = texture2D(uVelocity, vB).x;
+                float L = readVec(uVelocity, vL).y;
+                float R = readVec(uVelocity, vR).y;
+                float T = readVec(uVelocity, vT).x;
+                float B = readVec(uVelocity, vB).x;
                 float vorticity = R - L - T + B;
-                gl_FragColor = vec4(0.5 * vorticity, 0.0, 0.0, 1.0);
+                gl_FragColor = encodeScalar(0.5 * vorticity);
             }
         `;
 
@@ -220,21 +1026,21 @@ class FluidSimulation {
             uniform float dt;
             
             void main() {
-                float L = texture2D(uCurl, vL).x;
-                float R = texture2D(uCurl, vR).x;
-                float T = texture2D(uCurl, vT).x;
-                float B = texture2D(uCurl, vB).x;
-                float C = texture2D(uCurl, vUv).x;
+                float L = readScalar(uCurl, vL);
+                float R = readScalar(uCurl, vR);
+                float T = readScalar(uCurl, vT);
+                float B = readScalar(uCurl, vB);
+                float C = readScalar(uCurl, vUv);
                 
                 vec2 force = 0.5 * vec2(abs(T) - abs(B), abs(R) - abs(L));
                 force /= length(force) + 0.0001;
                 force *= curl * C;
                 force.y *= -1.0;
                 
-                vec2 velocity = texture2D(uVelocity, vUv).xy;
+                vec2 velocity = readVec(uVelocity, vUv);
                 velocity += force * dt;
                 velocity = min(max(velocity, -1000.0), 1000.0);
-                gl_FragColor = vec4(velocity, 0.0, 1.0);
+                gl_FragColor = encodeVec(velocity);
             }
         `;
 
@@ -248,20 +1054,38 @@ class FluidSimulation {
             varying vec2 vB;
             uniform sampler2D uPressure;
             uniform sampler2D uDivergence;
+            uniform sampler2D uObstacle;
+            uniform float cellArea;
+            uniform float parity;
+            uniform float omega;
             
             void main() {
-                float L = texture2D(uPressure, vL).x;
-                float R = texture2D(uPressure, vR).x;
-                float T = texture2D(uPressure, vT).x;
-                float B = texture2D(uPressure, vB).x;
-                float C = texture2D(uDivergence, vUv).x;
+                float P = readScalar(uPressure, vUv);
+            #ifdef RED_BLACK
+                // Only cells of one colour update per pass; the others carry over
+                vec2 cell = floor(gl_FragCoord.xy);
+                if (abs(mod(cell.x + cell.y, 2.0) - parity) > 0.5) {
+                    gl_FragColor = encodeScalar(P);
+                    return;
+                }
+            #endif
+                float L = pressureAt(uPressure, uObstacle, vL, P);
+                float R = pressureAt(uPressure, uObstacle, vR, P);
+                float T = pressureAt(uPressure, uObstacle, vT, P);
+                float B = pressureAt(uPressure, uObstacle, vB, P);
+                // cellArea scales the right-hand side on coarser multigrid levels
+                float C = readScalar(uDivergence, vUv) * cellArea;
                 float pressure = (L + R + T + B - C) * 0.25;
-                gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
+            #ifdef RED_BLACK
+                pressure = mix(P, pressure, omega);
+            #endif
+                gl_FragColor = encodeScalar(pressure);
             }
         `;
 
-        // Gradient subtraction shader
-        const gradientSubtractFragmentShader = `
+        // Pressure residual shader: what the pressure equation still gets
+        // wrong, in divergence units
+        const pressureResidualFragmentShader = `
             precision highp float;
             varying vec2 vUv;
             varying vec2 vL;
@@ -269,120 +1093,845 @@ class FluidSimulation {
             varying vec2 vT;
             varying vec2 vB;
             uniform sampler2D uPressure;
-            uniform sampler2D uVelocity;
+            uniform sampler2D uDivergence;
+            uniform sampler2D uObstacle;
+            uniform float cellArea;
             
             void main() {
-                float L = texture2D(uPressure, vL).x;
-                float R = texture2D(uPressure, vR).x;
-                float T = texture2D(uPressure, vT).x;
-                float B = texture2D(uPressure, vB).x;
-                vec2 velocity = texture2D(uVelocity, vUv).xy;
-                velocity.xy -= vec2(R - L, T - B);
-                gl_FragColor = vec4(velocity, 0.0, 1.0);
+                float P = readScalar(uPressure, vUv);
+                float L = pressureAt(uPressure, uObstacle, vL, P);
+                float R = pressureAt(uPressure, uObstacle, vR, P);
+                float T = pressureAt(uPressure, uObstacle, vT, P);
+                float B = pressureAt(uPressure, uObstacle, vB, P);
+                float C = readScalar(uDivergence, vUv);
+                float residual = C - (L + R + T + B - 4.0 * P) / cellArea;
+                gl_FragColor = encodeScalar(residual * (1.0 - solidAt(uObstacle, vUv)));
             }
         `;
-
-        // Clear shader
-        const clearFragmentShader = `
+        // Multigrid: adds the interpolated coarse-grid correction
+        const prolongateFragmentShader = `
             precision highp float;
             varying vec2 vUv;
-            uniform sampler2D uTexture;
-            uniform float value;
+            uniform sampler2D uPressure;
+            uniform sampler2D uCorrection;
+            uniform vec2 sourceTexelSize;
             
             void main() {
-                gl_FragColor = value * texture2D(uTexture, vUv);
+                float correction = sampleVec(uCorrection, vUv, sourceTexelSize).x;
+                gl_FragColor = encodeScalar(readScalar(uPressure, vUv) + correction);
             }
         `;
 
-        // Compile and link programs
-        this.programs = {
-            display: this.createProgram(baseVertexShader, displayFragmentShader),
-            splat: this.createProgram(baseVertexShader, splatFragmentShader),
-            advection: this.createProgram(baseVertexShader, advectionFragmentShader),
-            divergence: this.createProgram(baseVertexShader, divergenceFragmentShader),
-            curl: this.createProgram(baseVertexShader, curlFragmentShader),
-            vorticity: this.createProgram(baseVertexShader, vorticityFragmentShader),
-            pressure: this.createProgram(baseVertexShader, pressureFragmentShader),
-            gradientSubtract: this.createProgram(baseVertexShader, gradientSubtractFragmentShader),
-            clear: this.createProgram(baseVertexShader, clearFragmentShader)
-        };
-
-        // Create vertex buffer
-        const vertices = new Float32Array([-1, -1, -1, 1, 1, 1, 1, -1]);
-        this.vertexBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
-    }
+        // Gradient subtraction shader
+        const gradientSubtractFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            varying vec2 vL;
+            varying vec2 vR;
+            varying vec2 vT;
+            varying vec2 vB;
+            uniform sampler2D uPressure;
+            uniform sampler2D uVelocity;
+            uniform sampler2D uObstacle;
+            
+            void main() {
+                float oL = solidAt(uObstacle, vL);
+                float oR = solidAt(uObstacle, vR);
+                float oT = solidAt(uObstacle, vT);
+                float oB = solidAt(uObstacle, vB);
 
-    createProgram(vertexSource, fragmentSource) {
-        const gl = this.gl;
+                float P = readScalar(uPressure, vUv);
+                float L = pressureAt(uPressure, uObstacle, vL, P);
+                float R = pressureAt(uPressure, uObstacle, vR, P);
+                float T = pressureAt(uPressure, uObstacle, vT, P);
+                float B = pressureAt(uPressure, uObstacle, vB, P);
+                vec2 velocity = readVec(uVelocity, vUv);
+                velocity.xy -= vec2(R - L, T - B);
+
+                // No flow through a wall, and none inside a solid cell
+                velocity *= vec2(1.0 - max(oL, oR), 1.0 - max(oT, oB));
+                velocity *= 1.0 - solidAt(uObstacle, vUv);
+                gl_FragColor = encodeVec(velocity);
+            }
+        `;
+
+        // Clear shader (scales a simulation field)
+        const clearFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform float value;
+            
+            void main() {
+                gl_FragColor = encodeVec(value * readVec(uTexture, vUv));
+            }
+        `;
+
+        // Obstacle shape shader (capsule or box, painted or erased)
+        const obstacleFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTarget;
+            uniform float aspectRatio;
+            uniform float shape;
+            uniform vec2 pointA;
+            uniform vec2 pointB;
+            uniform vec2 halfSize;
+            uniform float radius;
+            uniform float erase;
+            
+            void main() {
+                vec2 aspect = vec2(aspectRatio, 1.0);
+                float inside;
+                if (shape < 0.5) {
+                    // Capsule from A to B; a circle when A == B
+                    vec2 pa = (vUv - pointA) * aspect;
+                    vec2 ba = (pointB - pointA) * aspect;
+                    float h = clamp(dot(pa, ba) / max(dot(ba, ba), 1e-8), 0.0, 1.0);
+                    inside = step(length(pa - ba * h), radius);
+                } else {
+                    vec2 d = abs(vUv - pointA) * aspect;
+                    inside = step(d.x, halfSize.x) * step(d.y, halfSize.y);
+                }
+                float base = texture2D(uTarget, vUv).x;
+                float value = mix(max(base, inside), base * (1.0 - inside), erase);
+                gl_FragColor = vec4(value, 0.0, 0.0, 1.0);
+            }
+        `;
+
+        // Obstacle image shader (alpha channel becomes solid)
+        const obstacleImageFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTarget;
+            uniform sampler2D uImage;
+            uniform vec4 imageRect;
+            uniform float threshold;
+            
+            void main() {
+                vec2 uv = (vUv - imageRect.xy) / (imageRect.zw - imageRect.xy);
+                float inside = step(0.0, uv.x) * step(uv.x, 1.0) * step(0.0, uv.y) * step(uv.y, 1.0);
+                float alpha = texture2D(uImage, clamp(uv, 0.0, 1.0)).a * inside;
+                float base = texture2D(uTarget, vUv).x;
+                gl_FragColor = vec4(max(base, step(threshold, alpha)), 0.0, 0.0, 1.0);
+            }
+        `;
+
+        // Image or video frame fitted into mediaRect: blended into the dye, or
+        // (FIELD_TARGET) its brightness gradient pushes the velocity
+        const mediaFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTarget;
+            uniform sampler2D uMedia;
+            uniform vec4 mediaRect;
+            uniform vec2 texelSize;
+            uniform float strength;
+            
+            float mediaLuminance(vec2 st) {
+                vec4 c = texture2D(uMedia, clamp(st, 0.0, 1.0));
+                return dot(c.rgb, vec3(0.299, 0.587, 0.114)) * c.a;
+            }
+            
+            void main() {
+                vec2 st = (vUv - mediaRect.xy) / (mediaRect.zw - mediaRect.xy);
+                float inside = step(0.0, st.x) * step(st.x, 1.0) * step(0.0, st.y) * step(st.y, 1.0);
+                vec4 base = texture2D(uTarget, vUv);
+            #ifdef FIELD_TARGET
+                // Light areas push into dark ones, measured across one grid cell
+                vec2 d = texelSize / (mediaRect.zw - mediaRect.xy);
+                vec2 gradient = vec2(
+                    mediaLuminance(st + vec2(d.x, 0.0)) - mediaLuminance(st - vec2(d.x, 0.0)),
+                    mediaLuminance(st + vec2(0.0, d.y)) - mediaLuminance(st - vec2(0.0, d.y))
+                );
+                gl_FragColor = encodeVec(decodeVec(base) - strength * inside * gradient);
+            #else
+                vec4 media = texture2D(uMedia, clamp(st, 0.0, 1.0));
+                float amount = strength * inside * media.a;
+            #if defined(BLEND_ADD)
+                vec3 color = base.rgb + amount * media.rgb;
+            #elif defined(BLEND_SCREEN)
+                vec3 color = 1.0 - (1.0 - base.rgb) * (1.0 - amount * media.rgb);
+            #else
+                vec3 color = mix(base.rgb, media.rgb, amount);
+            #endif
+                gl_FragColor = vec4(color, 1.0);
+            #endif
+            }
+        `;
+
+        // ----- Particles -----
+        // Each texel of the state texture is one particle: its position packed
+        // to 16 bits per axis, so the state fits 8-bit targets on every device.
+        // A particle lives for one lifetime, offset by a per-particle phase, and
+        // then respawns; the cycle count seeds where.
+        const particleLibrary = `
+            float particleHash(vec2 p) {
+                return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+            }
+            
+            vec2 readParticle(sampler2D state, vec2 id) {
+                vec4 s = texture2D(state, id);
+                return vec2(unpackUnit16(s.rg), unpackUnit16(s.ba));
+            }
+            
+            // Lifetimes completed by time t; the fraction is the particle's age
+            float particleCycle(vec2 id, float t, float lifetime) {
+                return t / lifetime + particleHash(id * 0.731);
+            }
+        `;
+
+        const particleUpdateShader = particleLibrary + `
+            varying vec2 vUv;
+            uniform sampler2D uState;
+            uniform sampler2D uVelocity;
+            uniform sampler2D uObstacle;
+            uniform sampler2D uDensity;
+            uniform vec2 velocityTexelSize;
+            uniform float dt;
+            uniform float time;
+            uniform float lifetime;
+            uniform float reset;
+            
+            vec2 spawnPoint(vec2 seed) {
+                return vec2(particleHash(seed), particleHash(seed.yx + 17.31));
+            }
+            
+            void main() {
+                vec2 pos = readParticle(uState, vUv);
+                float cycle = floor(particleCycle(vUv, time, lifetime));
+                float expired = max(reset, step(floor(particleCycle(vUv, time - dt, lifetime)) + 0.5, cycle));
+
+                // Midpoint step through the velocity field, in grid cells per second
+                vec2 v1 = sampleVec(uVelocity, pos, velocityTexelSize);
+                vec2 mid = pos + 0.5 * dt * v1 * velocityTexelSize;
+                pos += dt * sampleVec(uVelocity, wrapUv(mid), velocityTexelSize) * velocityTexelSize;
+            #ifdef BOUNDARY_PERIODIC
+                pos = fract(pos);
+            #else
+                // Particles that leave the domain come back as new ones
+                expired = max(expired, outsideDomain(pos));
+            #endif
+                expired = max(expired, step(0.5, texture2D(uObstacle, pos).x));
+
+                if (expired > 0.0) {
+                    vec2 seed = vUv * 3.17 + fract(cycle * vec2(0.1031, 0.1307));
+                #if defined(SPAWN_DYE)
+                    // Best of a few candidates, so particles seed where the dye is
+                    pos = spawnPoint(seed);
+                    float best = 0.0;
+                    for (int i = 0; i < 4; i++) {
+                        vec2 p = spawnPoint(seed + float(i) * 1.618);
+                        vec3 dye = texture2D(uDensity, p).rgb;
+                        float amount = max(dye.r, max(dye.g, dye.b));
+                        if (amount > best) {
+                            best = amount;
+                            pos = p;
+                        }
+                    }
+                #elif defined(SPAWN_INFLOW)
+                    // Along the left edge, like smoke in a wind tunnel
+                    pos = vec2(0.01 * particleHash(seed), particleHash(seed.yx));
+                #else
+                    pos = spawnPoint(seed);
+                #endif
+                }
+
+                gl_FragColor = vec4(packUnit16(pos.x), packUnit16(pos.y));
+            }
+        `;
+
+        // Points, or STREAKS: a line per particle from its last position to the
+        // current one, stretched and fading towards the tail
+        const particleVertexShader = particleLibrary + `
+            attribute vec2 aParticle;
+            attribute float aEnd;
+            uniform sampler2D uState;
+            uniform sampler2D uPrevious;
+            uniform sampler2D uVelocity;
+            uniform sampler2D uDensity;
+            uniform sampler2D uPalette;
+            uniform vec2 velocityTexelSize;
+            uniform vec2 dyeTexelSize;
+            uniform float time;
+            uniform float lifetime;
+            uniform float pointSize;
+            uniform float streakLength;
+            uniform float speedRange;
+            uniform float dyeColor;
+            uniform float intensity;
+            varying vec4 vColor;
+            
+            void main() {
+                vec2 pos = readParticle(uState, aParticle);
+            #ifdef STREAKS
+                vec2 previous = readParticle(uPrevious, aParticle);
+                vec2 motion = pos - previous;
+                // A respawn or a periodic wrap is a jump, not motion
+                if (length(motion) > 0.05) motion = vec2(0.0);
+                pos -= motion * streakLength * (1.0 - aEnd);
+            #endif
+
+                float speed = length(sampleVec(uVelocity, pos, velocityTexelSize));
+                vec3 byPalette = texture2D(uPalette, vec2(clamp(speed / speedRange, 0.0, 1.0) * 0.9375 + 0.03125, 0.5)).rgb;
+                vec3 dye = sampleColor(uDensity, pos, dyeTexelSize).rgb;
+                float amount = max(dye.r, max(dye.g, dye.b));
+                // Full-strength dye hue, dimming to a faint grey where there's none
+                vec3 byDye = mix(vec3(0.15), dye / max(amount, 1e-3), clamp(amount * 4.0, 0.0, 1.0));
+
+                // Fade in and out over the lifetime
+                float age = fract(particleCycle(aParticle, time, lifetime));
+                float alpha = intensity * sin(3.14159265 * age);
+            #ifdef STREAKS
+                alpha *= aEnd;
+            #endif
+                vColor = vec4(mix(byPalette, byDye, dyeColor), alpha);
+
+                gl_PointSize = pointSize;
+                gl_Position = vec4(pos * 2.0 - 1.0, 0.0, 1.0);
+            }
+        `;
+
+        const particleFragmentShader = `
+            precision highp float;
+            varying vec4 vColor;
+            
+            void main() {
+            #ifdef STREAKS
+                float shape = 1.0;
+            #else
+                // Round points with a soft edge
+                float shape = clamp(1.0 - 2.0 * length(gl_PointCoord - 0.5), 0.0, 1.0);
+            #endif
+                gl_FragColor = vec4(vColor.rgb * vColor.a * shape, 1.0);
+            }
+        `;
+
+        // Copy shader (resamples a texture into a target of another size)
+        const copyFragmentShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform vec2 sourceTexelSize;
+            uniform vec2 valueScale;
+            
+            void main() {
+            #ifdef FIELD_SOURCE
+                gl_FragColor = encodeVec(valueScale * sampleVec(uTexture, vUv, sourceTexelSize));
+            #else
+                gl_FragColor = sampleColor(uTexture, vUv, sourceTexelSize);
+            #endif
+            }
+        `;
+
+        // Field visualization: velocity magnitude (optionally with arrow glyphs)
+        // on viridis, signed scalars on a blue-red diverging map
+        const fieldDisplayShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform sampler2D uObstacle;
+            uniform vec2 sourceTexelSize;
+            uniform vec2 glyphCell;
+            uniform float range;
+            uniform vec3 obstacleColor;
+            
+            // Polynomial fit of matplotlib's viridis
+            vec3 viridis(float t) {
+                const vec3 c0 = vec3(0.2777273272234177, 0.005407344544966578, 0.3340998053353061);
+                const vec3 c1 = vec3(0.1050930431085774, 1.404613529898575, 1.384590162594685);
+                const vec3 c2 = vec3(-0.3308618287255563, 0.214847559468213, 0.09509516302823659);
+                const vec3 c3 = vec3(-4.634230498983486, -5.799100973351585, -19.33244095627987);
+                const vec3 c4 = vec3(6.228269936347081, 14.17993336680509, 56.69055260068105);
+                const vec3 c5 = vec3(4.776384997670288, -13.74514537774601, -65.35303263337234);
+                const vec3 c6 = vec3(-5.435455855934631, 4.645852612178535, 26.3124352495832);
+                return c0 + t * (c1 + t * (c2 + t * (c3 + t * (c4 + t * (c5 + t * c6)))));
+            }
+            
+            // Blue below zero, red above, pale grey at zero
+            vec3 diverging(float t) {
+                vec3 zero = vec3(0.87);
+                return t < 0.0
+                    ? mix(zero, vec3(0.23, 0.30, 0.75), -t)
+                    : mix(zero, vec3(0.71, 0.02, 0.15), t);
+            }
+            
+            float segment(vec2 p, vec2 a, vec2 b) {
+                vec2 pa = p - a;
+                vec2 ba = b - a;
+                float h = clamp(dot(pa, ba) / max(dot(ba, ba), 1e-6), 0.0, 1.0);
+                return length(pa - ba * h);
+            }
+            
+            vec2 rotate(vec2 v, float angle) {
+                float c = cos(angle);
+                float s = sin(angle);
+                return vec2(c * v.x - s * v.y, s * v.x + c * v.y);
+            }
+            
+            void main() {
+            #ifdef SCALAR
+                float value = sampleVec(uTexture, vUv, sourceTexelSize).x;
+                vec3 color = diverging(clamp(value / range, -1.0, 1.0));
+            #else
+                float speed = length(sampleVec(uTexture, vUv, sourceTexelSize));
+                vec3 color = viridis(clamp(speed / range, 0.0, 1.0));
+            #endif
+            
+            #ifdef ARROWS
+                // One glyph per cell, showing the velocity at its centre
+                vec2 centre = (floor(vUv / glyphCell) + 0.5) * glyphCell;
+                vec2 v = sampleVec(uTexture, centre, sourceTexelSize);
+                float len = 0.9 * clamp(length(v) / range, 0.0, 1.0);
+                vec2 dir = v / max(length(v), 1e-6);
+                vec2 p = (vUv - centre) / glyphCell;
+                vec2 tip = dir * len * 0.5;
+                float d = segment(p, -tip, tip);
+                d = min(d, segment(p, tip, tip + rotate(dir, 2.6) * len * 0.35));
+                d = min(d, segment(p, tip, tip + rotate(dir, -2.6) * len * 0.35));
+                float line = (1.0 - smoothstep(0.02, 0.06, d)) * step(0.05, len);
+                color = mix(color * 0.5, vec3(1.0), line);
+            #endif
+            
+                color = mix(color, obstacleColor, solidAt(uObstacle, vUv));
+                gl_FragColor = vec4(color, 1.0);
+            }
+        `;
+
+        // GPU reduction: each output texel summarizes one 8x8 block of the grid,
+        // as its peak value or, with MEAN_SQUARES, the mean of its squares
+        const fieldReduceShader = `
+            precision highp float;
+            uniform sampler2D uTexture;
+            uniform vec2 sourceTexelSize;
+            
+            void main() {
+                float result = 0.0;
+                vec2 origin = floor(gl_FragCoord.xy) * 8.0;
+                for (int i = 0; i < 8; i++) {
+                    for (int j = 0; j < 8; j++) {
+                        vec2 uv = (origin + vec2(float(i), float(j)) + 0.5) * sourceTexelSize;
+                        // Blocks overhanging the grid edge skip the missing texels
+                        vec2 v = decodeVec(texture2D(uTexture, uv)) * (1.0 - outsideDomain(uv));
+                    #ifdef SCALAR
+                        float value = abs(v.x);
+                    #else
+                        float value = length(v);
+                    #endif
+                    #ifdef MEAN_SQUARES
+                        result += value * value / 64.0;
+                    #else
+                        result = max(result, value);
+                    #endif
+                    }
+                }
+                gl_FragColor = vec4(packLog(result), 0.0, 1.0);
+            }
+        `;
+
+        // Hover probe: the field value at one point, packed for readPixels
+        const fieldProbeShader = `
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTexture;
+            uniform vec2 sourceTexelSize;
+            uniform vec2 point;
+            
+            void main() {
+                vec2 v = sampleVec(uTexture, point, sourceTexelSize);
+                gl_FragColor = vec4(packLog(v.x), packLog(v.y));
+            }
+        `;
+
+        // Compile and link programs
+        const program = (name, source, keywords) =>
+            this.createProgram(baseVertexShader, fragment(source, keywords), name);
+        // The field library has nothing stage-specific, so particle vertex shaders use it too
+        const particleProgram = (name, keywords) => this.createProgram(
+            fragment(particleVertexShader, keywords),
+            fragment(particleFragmentShader, keywords),
+            name
+        );
+
+        this.programs = {
+            splat: program('splat', splatFragmentShader),
+            splatVelocity: program('splatVelocity', splatFragmentShader, ['FIELD_TARGET']),
+            splatRadial: program('splatRadial', splatFragmentShader, ['FIELD_TARGET', 'RADIAL']),
+            splatSwirl: program('splatSwirl', splatFragmentShader, ['FIELD_TARGET', 'SWIRL']),
+            advection: program('advection', advectionFragmentShader),
+            advectionVelocity: program('advectionVelocity', advectionFragmentShader, ['FIELD_SOURCE']),
+            advectionTemperature: program('advectionTemperature', advectionFragmentShader, ['COOLING']),
+            buoyancy: program('buoyancy', buoyancyFragmentShader),
+            divergence: program('divergence', divergenceFragmentShader),
+            curl: program('curl', curlFragmentShader),
+            vorticity: program('vorticity', vorticityFragmentShader),
+            pressure: program('pressure', pressureFragmentShader),
+            pressureRedBlack: program('pressureRedBlack', pressureFragmentShader, ['RED_BLACK']),
+            pressureResidual: program('pressureResidual', pressureResidualFragmentShader),
+            prolongate: program('prolongate', prolongateFragmentShader),
+            gradientSubtract: program('gradientSubtract', gradientSubtractFragmentShader),
+            clear: program('clear', clearFragmentShader),
+            obstacle: program('obstacle', obstacleFragmentShader),
+            obstacleImage: program('obstacleImage', obstacleImageFragmentShader),
+            mediaMix: program('mediaMix', mediaFragmentShader),
+            mediaAdd: program('mediaAdd', mediaFragmentShader, ['BLEND_ADD']),
+            mediaScreen: program('mediaScreen', mediaFragmentShader, ['BLEND_SCREEN']),
+            mediaVelocity: program('mediaVelocity', mediaFragmentShader, ['FIELD_TARGET']),
+            bloomPrefilter: program('bloomPrefilter', bloomPrefilterFragmentShader),
+            blur: program('blur', blurFragmentShader),
+            bloomFinal: program('bloomFinal', bloomFinalFragmentShader),
+            sunraysMask: program('sunraysMask', sunraysMaskFragmentShader),
+            sunrays: program('sunrays', sunraysFragmentShader),
+            copy: program('copy', copyFragmentShader),
+            copyField: program('copyField', copyFragmentShader, ['FIELD_SOURCE']),
+            fieldMagnitude: program('fieldMagnitude', fieldDisplayShader),
+            fieldArrows: program('fieldArrows', fieldDisplayShader, ['ARROWS']),
+            fieldScalar: program('fieldScalar', fieldDisplayShader, ['SCALAR']),
+            fieldPeak: program('fieldPeak', fieldReduceShader),
+            fieldPeakScalar: program('fieldPeakScalar', fieldReduceShader, ['SCALAR']),
+            fieldMeanSquares: program('fieldMeanSquares', fieldReduceShader, ['SCALAR', 'MEAN_SQUARES']),
+            fieldProbe: program('fieldProbe', fieldProbeShader),
+            particleUpdate: program('particleUpdate', particleUpdateShader),
+            particleUpdateDye: program('particleUpdateDye', particleUpdateShader, ['SPAWN_DYE']),
+            particleUpdateInflow: program('particleUpdateInflow', particleUpdateShader, ['SPAWN_INFLOW'])
+        };
+        // These sample textures in the vertex shader, which would fail to link
+        // on devices with too few vertex texture units
+        if (this.supportParticles) {
+            this.programs.particlePoints = particleProgram('particlePoints');
+            this.programs.particleStreaks = particleProgram('particleStreaks', ['STREAKS']);
+        }
+
+        // Profiler pass each program's draws count towards
+        this.passNames = new Map();
+        for (const name in this.programs) {
+            const pass = Object.keys(PROFILE_PASSES).find(pass => PROFILE_PASSES[pass].includes(name));
+            this.passNames.set(this.programs[name], pass || name);
+        }
+
+        // Display variants are compiled on demand, one per combination of effects
+        this.displayShaders = {
+            vertex: baseVertexShader,
+            fragment: fragment(displayFragmentShader)
+        };
+        this.displayPrograms = {};
+
+        // Create vertex buffer
+        const vertices = new Float32Array([-1, -1, -1, 1, 1, 1, 1, -1]);
+        this.vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+    }
 
-        const vertexShader = gl.createShader(gl.VERTEX_SHADER);
-        gl.shaderSource(vertexShader, vertexSource);
-        gl.compileShader(vertexShader);
+    // Compiles and links a program, throwing a ShaderError that carries the
+    // info log and line-numbered source when any stage fails
+    createProgram(vertexSource, fragmentSource, name = 'program') {
+        const gl = this.gl;
 
-        const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-        gl.shaderSource(fragmentShader, fragmentSource);
-        gl.compileShader(fragmentShader);
+        const vertexShader = this.compileShader(gl.VERTEX_SHADER, vertexSource, name);
+        const fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, fragmentSource, name);
 
         const program = gl.createProgram();
         gl.attachShader(program, vertexShader);
         gl.attachShader(program, fragmentShader);
         gl.linkProgram(program);
 
-        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            console.error('Program link error:', gl.getProgramInfoLog(program));
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS) && !gl.isContextLost()) {
+            const log = gl.getProgramInfoLog(program);
+            this.deleteProgram(program);
+            throw new ShaderError(name, 'link', log, annotateLinkSources(vertexSource, fragmentSource, log));
         }
 
         return program;
     }
 
+    compileShader(type, source, name) {
+        const gl = this.gl;
+
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS) && !gl.isContextLost()) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            const stage = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+            throw new ShaderError(name, stage, log, annotateSource(source, log));
+        }
+
+        return shader;
+    }
+
+    deleteProgram(program) {
+        const gl = this.gl;
+        gl.getAttachedShaders(program).forEach(shader => {
+            gl.detachShader(program, shader);
+            gl.deleteShader(shader);
+        });
+        gl.deleteProgram(program);
+    }
+
     // ===== Framebuffers =====
     initFramebuffers() {
-        const simRes = this.config.simResolution;
-        const dyeRes = this.config.dyeResolution;
+        const simSize = this.getResolution(this.effectiveResolution(this.config.simResolution));
+        const dyeSize = this.getResolution(this.effectiveResolution(this.config.dyeResolution));
 
         this.velocity = this.createDoubleFBO(
-            simRes, simRes,
+            simSize.width, simSize.height,
             this.formatRG.internalFormat,
             this.formatRG.format,
-            this.formatRG.type
+            this.formatRG.type,
+            this.simFilter
         );
         this.density = this.createDoubleFBO(
-            dyeRes, dyeRes,
+            dyeSize.width, dyeSize.height,
             this.formatRGBA.internalFormat,
             this.formatRGBA.format,
-            this.formatRGBA.type
+            this.formatRGBA.type,
+            this.dyeFilter
         );
-        this.divergence = this.createFBO(
-            simRes, simRes,
+        this.pressure = this.createDoubleFBO(
+            simSize.width, simSize.height,
             this.formatR.internalFormat,
             this.formatR.format,
-            this.formatR.type
+            this.formatR.type,
+            this.simFilter
         );
-        this.curl = this.createFBO(
-            simRes, simRes,
+        this.temperature = this.createDoubleFBO(
+            simSize.width, simSize.height,
             this.formatR.internalFormat,
             this.formatR.format,
-            this.formatR.type
+            this.formatR.type,
+            this.simFilter
         );
-        this.pressure = this.createDoubleFBO(
-            simRes, simRes,
-            this.formatR.internalFormat,
-            this.formatR.format,
-            this.formatR.type
+
+        // Obstacle mask: plain RGBA8 so edges stay filterable everywhere
+        this.obstacles = this.createDoubleFBO(
+            simSize.width, simSize.height,
+            this.formatRGBA8.internalFormat,
+            this.formatRGBA8.format,
+            this.formatRGBA8.type,
+            this.gl.LINEAR
+        );
+
+        this.initScratchFramebuffers(simSize);
+        this.initBloomFramebuffers();
+        this.initSunraysFramebuffers();
+
+        // Reads single field values back to the CPU
+        const rgba8 = this.formatRGBA8;
+        this.probeTarget = this.createFBO(1, 1, rgba8.internalFormat, rgba8.format, rgba8.type, this.gl.NEAREST);
+
+        // Encoded fields store zero as mid-range bytes, not as 0x00
+        [
+            this.velocity.read, this.velocity.write,
+            this.pressure.read, this.pressure.write
+        ].forEach(target => this.clearField(target));
+        this.resetTemperature();
+    }
+
+    // Targets that are recomputed every step, so they never need resampling:
+    // divergence, curl, the solver's residual and multigrid levels, and the
+    // 8-bit target GPU reductions are read back from
+    initScratchFramebuffers(simSize) {
+        const r = this.formatR;
+        const rgba8 = this.formatRGBA8;
+        const { width, height } = simSize;
+
+        if (this.divergence) this.deleteScratchFramebuffers();
+
+        this.divergence = this.createFBO(width, height, r.internalFormat, r.format, r.type, this.simFilter);
+        this.curl = this.createFBO(width, height, r.internalFormat, r.format, r.type, this.simFilter);
+        this.residual = this.createFBO(width, height, r.internalFormat, r.format, r.type, this.simFilter);
+        this.reduceTarget = this.createFBO(
+            Math.ceil(width / 8), Math.ceil(height / 8),
+            rgba8.internalFormat, rgba8.format, rgba8.type, this.gl.NEAREST
+        );
+        this.clearField(this.divergence);
+        this.clearField(this.curl);
+
+        // Each multigrid level halves the grid, down to MULTIGRID_MIN_SIZE cells
+        this.multigridLevels = [];
+        let w = width;
+        let h = height;
+        while (Math.min(w, h) >= MULTIGRID_MIN_SIZE * 2) {
+            w = Math.ceil(w / 2);
+            h = Math.ceil(h / 2);
+            this.multigridLevels.push({
+                pressure: this.createDoubleFBO(w, h, r.internalFormat, r.format, r.type, this.simFilter),
+                rhs: this.createFBO(w, h, r.internalFormat, r.format, r.type, this.simFilter),
+                residual: this.createFBO(w, h, r.internalFormat, r.format, r.type, this.simFilter),
+                // Area of a coarse cell in fine cells
+                cellArea: (width / w) * (height / h)
+            });
+        }
+    }
+
+    deleteScratchFramebuffers() {
+        [this.divergence, this.curl, this.residual, this.reduceTarget].forEach(target => this.deleteFBO(target));
+        this.multigridLevels.forEach(level => {
+            [level.pressure.read, level.pressure.write, level.rhs, level.residual]
+                .forEach(target => this.deleteFBO(target));
+        });
+        this.divergence = null;
+    }
+
+    // Reallocates the grids for the current canvas aspect and resolution,
+    // resampling velocity, pressure, dye and obstacles into the new targets
+    resizeFramebuffers() {
+        const simSize = this.getResolution(this.effectiveResolution(this.config.simResolution));
+        const dyeSize = this.getResolution(this.effectiveResolution(this.config.dyeResolution));
+        const velocity = this.velocity.read;
+
+        if (velocity.width !== simSize.width || velocity.height !== simSize.height) {
+            // Velocities are measured in texels, so they scale with the grid
+            const scale = [simSize.width / velocity.width, simSize.height / velocity.height];
+            this.velocity = this.resizeDoubleFBO(this.velocity, simSize, this.formatRG, this.simFilter, true, scale);
+            this.pressure = this.resizeDoubleFBO(this.pressure, simSize, this.formatR, this.simFilter, true, [1, 1]);
+            this.temperature = this.resizeDoubleFBO(this.temperature, simSize, this.formatR, this.simFilter, true, [1, 1]);
+            this.obstacles = this.resizeDoubleFBO(this.obstacles, simSize, this.formatRGBA8, this.gl.LINEAR, false);
+            this.initScratchFramebuffers(simSize);
+        }
+
+        this.density = this.resizeDoubleFBO(this.density, dyeSize, this.formatRGBA, this.dyeFilter, false);
+
+        // Bloom and sunrays follow the canvas aspect too
+        this.initBloomFramebuffers();
+        this.initSunraysFramebuffers();
+    }
+
+    resizeDoubleFBO(target, size, format, filter, isField, valueScale) {
+        if (target.read.width === size.width && target.read.height === size.height) return target;
+
+        const resized = this.createDoubleFBO(
+            size.width, size.height,
+            format.internalFormat,
+            format.format,
+            format.type,
+            filter
         );
+        if (isField) this.clearField(resized.write);
+
+        const uniforms = {
+            sourceTexelSize: [1.0 / target.read.width, 1.0 / target.read.height],
+            uTexture: target.read.texture
+        };
+        if (isField) uniforms.valueScale = valueScale;
+        this.runProgram(isField ? this.programs.copyField : this.programs.copy, resized.read, uniforms);
+
+        this.deleteFBO(target.read);
+        this.deleteFBO(target.write);
+        return resized;
+    }
+
+    // Stretches the base resolution along the canvas' longer side
+    getResolution(resolution) {
+        let aspect = this.canvas.width / this.canvas.height;
+        if (!(aspect > 0) || !Number.isFinite(aspect)) aspect = 1;
+        if (aspect < 1) aspect = 1 / aspect;
+
+        const min = Math.round(resolution);
+        const max = Math.round(resolution * aspect);
+
+        if (this.canvas.width > this.canvas.height) {
+            return { width: max, height: min };
+        }
+        return { width: min, height: max };
+    }
+
+    // Each adaptive quality level halves the configured resolution
+    effectiveResolution(resolution) {
+        return Math.max(resolution >> this.adaptiveLevel, 32);
+    }
+
+    initBloomFramebuffers() {
+        const size = this.getResolution(this.config.bloomResolution);
+        const rgba = this.formatRGBA;
+
+        if (this.bloom) {
+            this.deleteFBO(this.bloom);
+            this.bloomFramebuffers.forEach(fbo => this.deleteFBO(fbo));
+        }
+
+        this.bloom = this.createFBO(size.width, size.height, rgba.internalFormat, rgba.format, rgba.type, this.dyeFilter);
+
+        // Mip chain, halving each level until it gets too small to matter
+        this.bloomFramebuffers = [];
+        for (let i = 0; i < this.config.bloomIterations; i++) {
+            const width = size.width >> (i + 1);
+            const height = size.height >> (i + 1);
+            if (width < 2 || height < 2) break;
+            this.bloomFramebuffers.push(
+                this.createFBO(width, height, rgba.internalFormat, rgba.format, rgba.type, this.dyeFilter)
+            );
+        }
+    }
+
+    initSunraysFramebuffers() {
+        const size = this.getResolution(this.config.sunraysResolution);
+        const r = this.formatR;
+
+        if (this.sunrays) {
+            this.deleteFBO(this.sunrays);
+            this.deleteFBO(this.sunraysTemp);
+        }
+
+        this.sunrays = this.createFBO(size.width, size.height, r.internalFormat, r.format, r.type, this.dyeFilter);
+        this.sunraysTemp = this.createFBO(size.width, size.height, r.internalFormat, r.format, r.type, this.dyeFilter);
+    }
+
+    deleteFramebuffers() {
+        [this.velocity, this.density, this.pressure, this.temperature, this.obstacles].forEach(double => {
+            this.deleteFBO(double.read);
+            this.deleteFBO(double.write);
+        });
+        this.deleteScratchFramebuffers();
+        [this.bloom, this.sunrays, this.sunraysTemp, this.probeTarget]
+            .concat(this.bloomFramebuffers)
+            .forEach(target => this.deleteFBO(target));
+        this.bloom = null;
+        this.sunrays = null;
+    }
+
+    deleteFBO(target) {
+        this.gl.deleteFramebuffer(target.fbo);
+        this.gl.deleteTexture(target.texture);
+        this.fboMemory -= target.bytes;
     }
 
-    createFBO(w, h, internalFormat, format, type) {
+    // Fills a field with value in x and zero in y
+    clearField(target, value = 0) {
+        if (this.encodedFields) {
+            const zero = [127 / 255, 1.0];
+            this.clearTarget(target, packUnit16(value / FIELD_RANGE * 0.5 + 0.5).concat(zero));
+        } else {
+            this.clearTarget(target, [value, 0.0, 0.0, 0.0]);
+        }
+    }
+
+    resetTemperature() {
+        this.clearField(this.temperature.read, this.config.ambientTemperature);
+        this.clearField(this.temperature.write, this.config.ambientTemperature);
+    }
+
+    clearTarget(target, color = [0.0, 0.0, 0.0, 0.0]) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.clearColor(color[0], color[1], color[2], color[3]);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    createFBO(w, h, internalFormat, format, type, filter) {
         const gl = this.gl;
 
         const texture = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, texture);
 
-        // LINEAR filtering works well with UNSIGNED_BYTE
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        // NEAREST when the format can't be filtered; shaders then filter manually
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
         gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, w, h, 0, format, type, null);
@@ -395,12 +1944,28 @@ class FluidSimulation {
         // Unbind framebuffer
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-        return { texture, fbo, width: w, height: h };
+        const bytes = w * h * this.texelBytes(format, type);
+        this.fboMemory += bytes;
+        return { texture, fbo, width: w, height: h, bytes };
+    }
+
+    // Bytes per texel, for the memory stats; drivers may pad on top of this
+    texelBytes(format, type) {
+        const gl = this.gl;
+        let channels = 4;
+        if (format === gl.RGB) channels = 3;
+        else if (this.isWebGL2 && format === gl.RG) channels = 2;
+        else if (this.isWebGL2 && format === gl.RED) channels = 1;
+
+        if (type === gl.UNSIGNED_BYTE) return channels;
+        if (type === gl.FLOAT) return channels * 4;
+        // Half floats
+        return channels * 2;
     }
 
-    createDoubleFBO(w, h, internalFormat, format, type) {
-        let fbo1 = this.createFBO(w, h, internalFormat, format, type);
-        let fbo2 = this.createFBO(w, h, internalFormat, format, type);
+    createDoubleFBO(w, h, internalFormat, format, type, filter) {
+        let fbo1 = this.createFBO(w, h, internalFormat, format, type, filter);
+        let fbo2 = this.createFBO(w, h, internalFormat, format, type, filter);
 
         return {
             read: fbo1,
@@ -416,100 +1981,310 @@ class FluidSimulation {
     }
 
     // ===== Event Listeners =====
+    // Pointer Events cover mouse, pen and touch alike. Capture keeps a drag
+    // going outside the canvas, and coalesced events give every sample the
+    // browser saw, not just one per frame. The tools follow the primary pointer.
     setupEventListeners() {
-        this.canvas.addEventListener('mousedown', (e) => {
-            const pointer = {
-                id: -1,
-                x: e.clientX,
-                y: e.clientY,
-                dx: 0,
-                dy: 0,
-                down: true,
-                moved: false,
-                color: this.getRandomColor()
-            };
-            this.pointers.push(pointer);
-        });
+        this.listen(this.canvas, 'pointerdown', (e) => {
+            this.canvas.setPointerCapture(e.pointerId);
+            const [x, y] = this.canvasPoint(e);
 
-        this.canvas.addEventListener('mousemove', (e) => {
-            const pointer = this.pointers.find(p => p.id === -1);
-            if (pointer) {
-                pointer.moved = pointer.down;
-                pointer.dx = (e.clientX - pointer.x) * 5.0;
-                pointer.dy = (e.clientY - pointer.y) * 5.0;
-                pointer.x = e.clientX;
-                pointer.y = e.clientY;
+            if (this.obstacleTool || this.emitterTool) {
+                if (!e.isPrimary) return;
+                if (this.obstacleTool) this.beginObstacleStroke(x, y);
+                else this.beginEmitterPlacement(x, y);
+                return;
             }
+            this.pointerDown(e.pointerId, x, y, pointerPressure(e), pointerTilt(e));
         });
 
-        this.canvas.addEventListener('mouseup', () => {
-            this.pointers = this.pointers.filter(p => p.id !== -1);
-        });
-
-        // Touch events
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const touches = e.targetTouches;
-            for (let i = 0; i < touches.length; i++) {
-                const touch = touches[i];
-                const pointer = {
-                    id: touch.identifier,
-                    x: touch.clientX,
-                    y: touch.clientY,
-                    dx: 0,
-                    dy: 0,
-                    down: true,
-                    moved: false,
-                    color: this.getRandomColor()
-                };
-                this.pointers.push(pointer);
-            }
-        });
-
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const touches = e.targetTouches;
-            for (let i = 0; i < touches.length; i++) {
-                const touch = touches[i];
-                const pointer = this.pointers.find(p => p.id === touch.identifier);
-                if (pointer) {
-                    pointer.moved = pointer.down;
-                    pointer.dx = (touch.clientX - pointer.x) * 5.0;
-                    pointer.dy = (touch.clientY - pointer.y) * 5.0;
-                    pointer.x = touch.clientX;
-                    pointer.y = touch.clientY;
+        this.listen(this.canvas, 'pointermove', (e) => {
+            const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            (samples.length ? samples : [e]).forEach(sample => {
+                const [x, y] = this.canvasPoint(sample);
+                if (this.obstacleStroke || this.emitterPlacement) {
+                    if (!e.isPrimary) return;
+                    if (this.obstacleStroke) this.moveObstacleStroke(x, y);
+                    else this.moveEmitterPlacement(x, y);
+                    return;
                 }
-            }
+                this.pointerMove(e.pointerId, x, y, pointerPressure(sample), pointerTilt(sample));
+            });
         });
 
-        this.canvas.addEventListener('touchend', (e) => {
-            const touches = e.changedTouches;
-            for (let i = 0; i < touches.length; i++) {
-                const touch = touches[i];
-                this.pointers = this.pointers.filter(p => p.id !== touch.identifier);
+        const end = (e) => {
+            if (e.isPrimary && this.obstacleStroke) {
+                const [x, y] = this.canvasPoint(e);
+                this.endObstacleStroke(x, y);
+                return;
             }
-        });
+            if (e.isPrimary && this.emitterPlacement) {
+                this.emitterPlacement = null;
+                return;
+            }
+            this.pointerUp(e.pointerId);
+        };
+        this.listen(this.canvas, 'pointerup', end);
+        this.listen(this.canvas, 'pointercancel', end);
 
-        window.addEventListener('resize', () => {
+        this.listen(window, 'resize', () => {
             this.resizeCanvas();
         });
     }
 
-    getRandomColor() {
-        const scheme = this.colorSchemes[this.config.colorScheme];
-        return scheme[Math.floor(Math.random() * scheme.length)];
+    // Client coordinates to drawing-buffer pixels, whatever the canvas'
+    // position on the page and pixel ratio
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [
+            (e.clientX - rect.left) * this.canvas.width / rect.width,
+            (e.clientY - rect.top) * this.canvas.height / rect.height
+        ];
     }
 
-    // ===== Simulation Update =====
-    update() {
-        const dt = 0.016; // ~60 FPS
+    // Pointer state behind the canvas handlers. pressure is 0-1 (0.5 where the
+    // device can't tell), tilt 0 upright to 1 flat; see pointerScales().
+    pointerDown(id, x, y, pressure = 0.5, tilt = 0) {
+        // Live input is ignored while a recording plays back
+        if (this.replay) return;
+        this.recordInput('pointerdown', { id, x: x / this.canvas.width, y: y / this.canvas.height, pressure, tilt });
 
-        this.resizeCanvas();
-        this.applyInputs();
+        this.pointers.push({
+            id,
+            x,
+            y,
+            // Moves since the last step, each splatted along the stroke
+            samples: [],
+            // Position in the palette; 'speed' and 'position' recompute it per splat
+            paletteT: this.nextPaletteT(x, 0, 0)
+        });
+    }
+
+    pointerMove(id, x, y, pressure = 0.5, tilt = 0) {
+        const pointer = this.pointers.find(p => p.id === id);
+        if (!pointer) return;
+        this.recordInput('pointermove', { id, x: x / this.canvas.width, y: y / this.canvas.height, pressure, tilt });
+
+        // Force follows the distance moved as a fraction of the canvas height,
+        // so strokes feel the same at any size or pixel ratio
+        const scales = this.pointerScales(pressure, tilt);
+        const force = this.config.splatForce * scales.force / this.canvas.height;
+        pointer.samples.push({
+            x,
+            y,
+            dx: (x - pointer.x) * force,
+            dy: (y - pointer.y) * force,
+            radius: scales.radius
+        });
+        pointer.x = x;
+        pointer.y = y;
+    }
+
+    pointerUp(id) {
+        if (!this.pointers.some(p => p.id === id)) return;
+        this.recordInput('pointerup', { id });
+
+        this.pointers = this.pointers.filter(p => p.id !== id);
+    }
+
+    // Splat force and radius multipliers for a pen sample: pressing harder
+    // scales both from 0.5x to 1.5x, and tilting the pen flat widens the
+    // stroke while softening it, like the side of a marker
+    pointerScales(pressure, tilt) {
+        if (!this.config.pointerPressure) return { force: 1, radius: 1 };
+        const press = 0.5 + pressure;
+        return { force: press * (1 - 0.5 * tilt), radius: press * (1 + tilt) };
+    }
+
+    getRandomColor() {
+        return this.getPaletteColor(this.random());
+    }
+
+    // ===== Color Palettes =====
+    // Color at t (0-1) in the active scheme: the nearest stop, or a blend of
+    // the two around t with config.colorGradient. Hue cycling rotates the
+    // result by simulated time, so replays see the same colors.
+    getPaletteColor(t) {
+        const scheme = this.colorSchemes[this.config.colorScheme] || this.colorSchemes.neon;
+        t = Math.min(Math.max(t, 0), 1);
+
+        let color;
+        if (!this.config.colorGradient || scheme.length === 1) {
+            color = scheme[Math.min(Math.floor(t * scheme.length), scheme.length - 1)];
+        } else {
+            const position = t * (scheme.length - 1);
+            const i = Math.min(Math.floor(position), scheme.length - 2);
+            const f = position - i;
+            const a = scheme[i];
+            const b = scheme[i + 1];
+            color = {
+                r: a.r + (b.r - a.r) * f,
+                g: a.g + (b.g - a.g) * f,
+                b: a.b + (b.b - a.b) * f
+            };
+        }
+
+        if (this.config.hueCycle) {
+            return rotateHue(color, this.stepCount * FIXED_DT * this.config.hueCycleSpeed);
+        }
+        return { r: color.r, g: color.g, b: color.b };
+    }
+
+    // Palette position for a stroke or splat, following config.colorStrategy
+    nextPaletteT(x, dx, dy) {
+        switch (this.config.colorStrategy) {
+            case 'sequential': {
+                // Centre of the next stop, so discrete palettes step through every color
+                const count = (this.colorSchemes[this.config.colorScheme] || this.colorSchemes.neon).length;
+                return ((this.colorSequence++ % count) + 0.5) / count;
+            }
+            case 'speed':
+                return Math.min(Math.hypot(dx, dy) / FULL_PALETTE_SPEED, 1);
+            case 'position':
+                return x / this.canvas.width;
+            default:
+                return this.random();
+        }
+    }
+
+    // Adds or replaces a custom scheme. Built-in schemes are read-only.
+    setColorScheme(name, colors) {
+        if (Object.hasOwn(BUILT_IN_COLOR_SCHEMES, name)) {
+            throw new Error(`"${name}" is a built-in color scheme`);
+        }
+        if (!Array.isArray(colors) || colors.length === 0 ||
+            !colors.every(c => c && ['r', 'g', 'b'].every(k => Number.isFinite(c[k])))) {
+            throw new Error('A color scheme needs at least one { r, g, b } color');
+        }
+        this.colorSchemes[name] = colors.map(c => ({ r: c.r, g: c.g, b: c.b }));
+    }
+
+    removeColorScheme(name) {
+        if (Object.hasOwn(BUILT_IN_COLOR_SCHEMES, name)) {
+            throw new Error(`"${name}" is a built-in color scheme`);
+        }
+        delete this.colorSchemes[name];
+        if (this.config.colorScheme === name) this.config.colorScheme = 'neon';
+    }
+
+    isBuiltInColorScheme(name) {
+        return Object.hasOwn(BUILT_IN_COLOR_SCHEMES, name);
+    }
+
+    // ===== Deterministic Randomness =====
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+    }
+
+    // ===== Simulation Update =====
+    // Runs as many FIXED_DT steps as the real time since the last frame,
+    // scaled by config.timeScale, pays for. The speed is then the same at any
+    // refresh rate, and replays stay step-exact at any time scale.
+    update() {
+        const clock = this.clock;
+        const now = performance.now();
+        // A long gap (background tab, debugger) counts as a single step
+        const elapsed = clock.lastFrame === null || now - clock.lastFrame > MAX_FRAME_GAP
+            ? FIXED_DT
+            : (now - clock.lastFrame) / 1000;
+        const frameTime = clock.lastFrame === null ? 0 : now - clock.lastFrame;
+        clock.lastFrame = now;
+        let steps = 0;
+
+        this.drawCalls = 0;
+        this.updateProfiler();
+
+        try {
+            this.resizeCanvas();
+            if (!this.paused) {
+                clock.accumulator += elapsed * this.config.timeScale;
+                steps = Math.floor(clock.accumulator / FIXED_DT);
+                // Past the cap, drop the debt: a slow GPU would otherwise fall
+                // ever further behind, running more steps each frame
+                if (steps > this.config.maxSubsteps) {
+                    steps = this.config.maxSubsteps;
+                    clock.accumulator = 0;
+                } else {
+                    clock.accumulator -= steps * FIXED_DT;
+                }
+            }
+            steps += clock.pendingSteps;
+            clock.pendingSteps = 0;
+
+            for (let i = 0; i < steps; i++) this.advance(FIXED_DT);
+            this.render();
+        } catch (err) {
+            // e.g. a display variant that fails to compile; stop instead of spinning
+            this.frameId = null;
+            this.emit('error', err);
+            return;
+        }
+
+        // Push the frame to the recorder while the drawing buffer is still valid
+        if (this.recording) {
+            this.recording.track.requestFrame();
+        }
+
+        if (this.config.adaptiveQuality) {
+            this.updateAdaptiveQuality(performance.now());
+        } else if (this.adaptiveLevel !== 0) {
+            this.setAdaptiveLevel(0);
+        }
+
+        this.frameStats.frameTime = frameTime;
+        this.frameStats.drawCalls = this.drawCalls;
+        if (this.profiler) this.profiler.endFrame(frameTime, this.drawCalls);
+
+        this.emit('frame', { dt: steps * FIXED_DT, steps, step: this.stepCount });
+
+        this.frameId = requestAnimationFrame(() => this.update());
+    }
+
+    // One step of everything that moves with simulation time
+    advance(dt) {
+        if (this.replay) this.applyReplayEvents();
+        this.applyInputs();
+        this.applyEmitters(dt);
+        if (this.mediaSource) this.applyMediaSource(dt);
         this.step(dt);
-        this.render();
+        this.stepCount++;
+    }
+
+    // Measures FPS over two-second windows and steps the grid resolution
+    // down when it falls short of config.targetFPS, or back up when there is headroom
+    updateAdaptiveQuality(now) {
+        const adaptive = this.adaptive;
+
+        // A long gap (background tab, debugger) says nothing about GPU load
+        if (now - adaptive.lastFrame > 250) {
+            adaptive.windowStart = now;
+            adaptive.frames = 0;
+        }
+        adaptive.lastFrame = now;
+        adaptive.frames++;
+
+        const elapsed = now - adaptive.windowStart;
+        if (elapsed < 2000) return;
+
+        const fps = adaptive.frames * 1000 / elapsed;
+        adaptive.windowStart = now;
+        adaptive.frames = 0;
 
-        requestAnimationFrame(() => this.update());
+        const target = this.config.targetFPS;
+        if (fps < target * 0.85 && this.adaptiveLevel < MAX_ADAPTIVE_LEVEL) {
+            this.setAdaptiveLevel(this.adaptiveLevel + 1);
+            // Don't bounce straight back up
+            adaptive.holdUntil = now + 10000;
+        } else if (fps > target * 0.95 && this.adaptiveLevel > 0 && now > adaptive.holdUntil) {
+            this.setAdaptiveLevel(this.adaptiveLevel - 1);
+            adaptive.holdUntil = now + 4000;
+        }
+    }
+
+    setAdaptiveLevel(level) {
+        this.adaptiveLevel = level;
+        this.resizeFramebuffers();
     }
 
     applyInputs() {
@@ -519,10 +2294,23 @@ class FluidSimulation {
 
         for (let i = 0; i < this.pointers.length; i++) {
             const pointer = this.pointers[i];
-            if (pointer.moved) {
-                this.splat(pointer.x, pointer.y, pointer.dx, pointer.dy, pointer.color);
-                pointer.moved = false;
-            }
+            const samples = thinSamples(pointer.samples, MAX_POINTER_SAMPLES);
+            if (!samples.length) continue;
+            pointer.samples = [];
+
+            // One color per step, from the whole step's motion
+            const dx = samples.reduce((sum, sample) => sum + sample.dx, 0);
+            const dy = samples.reduce((sum, sample) => sum + sample.dy, 0);
+            const t = DYNAMIC_COLOR_STRATEGIES.includes(this.config.colorStrategy)
+                ? this.nextPaletteT(pointer.x, dx, dy)
+                : pointer.paletteT;
+            const color = this.strokeColor || this.getPaletteColor(t);
+
+            // The step's dye and heat are shared out along the stroke
+            samples.forEach(sample => {
+                this.splat(sample.x, sample.y, sample.dx, sample.dy, color,
+                    this.config.splatRadius * sample.radius, 1 / samples.length);
+            });
         }
     }
 
@@ -540,46 +2328,56 @@ class FluidSimulation {
             texelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
             uVelocity: this.velocity.read.texture,
             uCurl: this.curl.texture,
-            curl: this.config.curl,
+            curl: this.config.curl * this.curlScale,
             dt: dt
         });
         this.velocity.swap();
 
+        if (this.config.fireMode) {
+            this.runProgram(this.programs.buoyancy, this.velocity.write, {
+                uVelocity: this.velocity.read.texture,
+                uTemperature: this.temperature.read.texture,
+                uDensity: this.density.read.texture,
+                dyeTexelSize: [1.0 / this.density.read.width, 1.0 / this.density.read.height],
+                dt: dt,
+                ambient: this.config.ambientTemperature,
+                buoyancy: this.config.buoyancy,
+                smokeWeight: this.config.smokeWeight
+            });
+            this.velocity.swap();
+        }
+
         // Divergence
         this.runProgram(this.programs.divergence, this.divergence, {
             texelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
-            uVelocity: this.velocity.read.texture
+            uVelocity: this.velocity.read.texture,
+            uObstacle: this.obstacles.read.texture
         });
 
-        // Pressure
+        // Pressure, warm-started from the last solution
         this.runProgram(this.programs.clear, this.pressure.write, {
             uTexture: this.pressure.read.texture,
             value: 0.8
         });
         this.pressure.swap();
-
-        for (let i = 0; i < this.config.pressure; i++) {
-            this.runProgram(this.programs.pressure, this.pressure.write, {
-                texelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
-                uPressure: this.pressure.read.texture,
-                uDivergence: this.divergence.texture
-            });
-            this.pressure.swap();
-        }
+        this.solvePressure();
 
         // Gradient subtract
         this.runProgram(this.programs.gradientSubtract, this.velocity.write, {
             texelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
             uPressure: this.pressure.read.texture,
-            uVelocity: this.velocity.read.texture
+            uVelocity: this.velocity.read.texture,
+            uObstacle: this.obstacles.read.texture
         });
         this.velocity.swap();
 
         // Advection
-        this.runProgram(this.programs.advection, this.velocity.write, {
+        this.runProgram(this.programs.advectionVelocity, this.velocity.write, {
             texelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
+            sourceTexelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
             uVelocity: this.velocity.read.texture,
             uSource: this.velocity.read.texture,
+            uObstacle: this.obstacles.read.texture,
             dt: dt,
             dissipation: 1.0 - this.config.viscosity / 100.0
         });
@@ -587,21 +2385,470 @@ class FluidSimulation {
 
         this.runProgram(this.programs.advection, this.density.write, {
             texelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
+            sourceTexelSize: [1.0 / this.density.read.width, 1.0 / this.density.read.height],
             uVelocity: this.velocity.read.texture,
             uSource: this.density.read.texture,
+            uObstacle: this.obstacles.read.texture,
             dt: dt,
             dissipation: 1.0 - this.config.diffusion / 10.0
         });
         this.density.swap();
+
+        if (this.config.fireMode) {
+            this.runProgram(this.programs.advectionTemperature, this.temperature.write, {
+                texelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
+                sourceTexelSize: [1.0 / this.temperature.read.width, 1.0 / this.temperature.read.height],
+                uVelocity: this.velocity.read.texture,
+                uSource: this.temperature.read.texture,
+                uObstacle: this.obstacles.read.texture,
+                dt: dt,
+                dissipation: Math.exp(-this.config.cooling * dt),
+                ambient: this.config.ambientTemperature
+            });
+            this.temperature.swap();
+        }
+
+        // Particles ride the velocity the step ended with
+        if (this.config.particles && this.supportParticles) {
+            this.stepParticles(dt);
+        } else if (this.particles) {
+            this.deleteParticles();
+        }
+    }
+
+    // ===== Pressure Solvers =====
+    // Every solver works on the same discrete Poisson equation. config.pressure
+    // is a budget in full-grid passes: a Jacobi iteration costs one, a
+    // red-black sweep two and a multigrid V-cycle about eight. With
+    // config.pressureTolerance > 0 the solver instead runs until the residual's
+    // RMS drops below it, for at most four times that budget.
+    solvePressure() {
+        const config = this.config;
+        const cost = PRESSURE_SOLVER_COST[config.pressureSolver];
+        const runs = Math.max(1, Math.round(config.pressure / cost));
+        const stats = this.solverStats;
+        let done = 0;
+
+        if (config.pressureTolerance > 0) {
+            const chunk = Math.max(1, Math.round(TOLERANCE_CHECK_PASSES / cost));
+            while (done < runs * 4) {
+                const count = Math.min(chunk, runs * 4 - done);
+                this.runPressureSolver(count, done);
+                done += count;
+                stats.residual = this.measurePressureResidual();
+                if (stats.residual < config.pressureTolerance) break;
+            }
+        } else {
+            this.runPressureSolver(runs);
+            done = runs;
+            // Measuring stalls the GPU, so only now and then, and only on request
+            if (config.measureResidual && this.stepCount % 15 === 0) {
+                stats.residual = this.measurePressureResidual();
+            }
+        }
+
+        stats.solver = config.pressureSolver;
+        stats.passes = done * cost;
+    }
+
+    // Iterations are numbered across the whole solve, so tolerance checks
+    // don't restart the count; V-cycles label their own levels instead
+    runPressureSolver(runs, first = 0) {
+        const levels = this.getPressureLevels();
+        for (let i = 0; i < runs; i++) {
+            if (this.config.pressureSolver === 'multigrid') {
+                this.vCycle(levels, 0);
+                continue;
+            }
+            this.profilePass = `pressure ${first + i + 1}`;
+            if (this.config.pressureSolver === 'sor') {
+                this.redBlackSweep(levels[0], this.config.pressureOmega);
+            } else {
+                this.jacobiPass(levels[0]);
+            }
+        }
+        this.profilePass = null;
+    }
+
+    // The full-resolution problem followed by the multigrid levels
+    getPressureLevels() {
+        return [{
+            pressure: this.pressure,
+            rhs: this.divergence,
+            residual: this.residual,
+            cellArea: 1
+        }].concat(this.multigridLevels);
+    }
+
+    getPressureUniforms(level) {
+        const target = level.pressure.read;
+        return {
+            texelSize: [1.0 / target.width, 1.0 / target.height],
+            uPressure: target.texture,
+            uDivergence: level.rhs.texture,
+            uObstacle: this.obstacles.read.texture,
+            cellArea: level.cellArea
+        };
+    }
+
+    jacobiPass(level) {
+        this.runProgram(this.programs.pressure, level.pressure.write, this.getPressureUniforms(level));
+        level.pressure.swap();
+    }
+
+    // Gauss-Seidel in two passes: red cells from their black neighbours, then
+    // black from the fresh red. omega > 1 over-relaxes (SOR).
+    redBlackSweep(level, omega) {
+        [0, 1].forEach(parity => {
+            const uniforms = this.getPressureUniforms(level);
+            uniforms.parity = parity;
+            uniforms.omega = omega;
+            this.runProgram(this.programs.pressureRedBlack, level.pressure.write, uniforms);
+            level.pressure.swap();
+        });
     }
 
-    render() {
+    computeResidual(level) {
+        this.runProgram(this.programs.pressureResidual, level.residual, this.getPressureUniforms(level));
+    }
+
+    // Smooth, hand the remaining error to a coarser grid, add its correction back, smooth again
+    // V-cycles are timed per level, summed over every cycle of the solve
+    vCycle(levels, index) {
+        const level = levels[index];
+        const coarse = levels[index + 1];
+        const pass = `pressure L${index}`;
+        this.profilePass = pass;
+
+        if (!coarse) {
+            // The coarsest grid is small enough to nearly solve outright
+            for (let i = 0; i < MULTIGRID_COARSE_SWEEPS; i++) this.redBlackSweep(level, 1.0);
+            return;
+        }
+
+        this.redBlackSweep(level, 1.0);
+        this.computeResidual(level);
+
+        // Restrict: each coarse cell averages the fine residual under it
+        this.runProgram(this.programs.copyField, coarse.rhs, {
+            sourceTexelSize: [1.0 / level.residual.width, 1.0 / level.residual.height],
+            uTexture: level.residual.texture,
+            valueScale: [1, 0]
+        });
+        this.clearField(coarse.pressure.read);
+        this.vCycle(levels, index + 1);
+        this.profilePass = pass;
+
+        this.runProgram(this.programs.prolongate, level.pressure.write, {
+            uPressure: level.pressure.read.texture,
+            uCorrection: coarse.pressure.read.texture,
+            sourceTexelSize: [1.0 / coarse.pressure.read.width, 1.0 / coarse.pressure.read.height]
+        });
+        level.pressure.swap();
+        this.redBlackSweep(level, 1.0);
+    }
+
+    // RMS of the pressure residual over the full grid
+    measurePressureResidual() {
+        const level = this.getPressureLevels()[0];
+        this.computeResidual(level);
+        // Block means are over 64 texels even where a block overhangs the edge
+        const sum = this.reduceField(this.programs.fieldMeanSquares, level.residual)
+            .reduce((total, value) => total + value * 64, 0);
+        return Math.sqrt(sum / (level.residual.width * level.residual.height));
+    }
+
+    // Draws the final image to the canvas, or into target when given
+    render(target = null) {
         const gl = this.gl;
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
 
-        this.runProgram(this.programs.display, null, {
-            uTexture: this.density.read.texture
+        // Post effects run in order, each reading the dye and filling its own target
+        this.postEffects.forEach(effect => {
+            if (this.config[effect.name]) effect.apply(this.density.read);
+        });
+
+        const mode = this.config.displayMode;
+        const field = mode === 'dye' ? null : this.getDisplayField(mode);
+        // Snapshots and recordings reuse the range of the on-screen view
+        if (field && !target) this.updateDisplayRange(mode, field);
+
+        const width = target ? target.width : this.canvas.width;
+        const height = target ? target.height : this.canvas.height;
+        const full = [0, 0, width, height];
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.fbo : null);
+
+        if (!field) {
+            this.drawDye(full);
+            return;
+        }
+
+        const layout = this.config.displayLayout;
+        if (layout === 'split') {
+            // Dye on the left, the field on the right, over the same domain
+            const half = Math.floor(width / 2);
+            this.drawDye(full, [0, 0, half, height]);
+            this.drawView(field.program, this.getFieldUniforms(field, width, height), full, [half, 0, width - half, height]);
+            this.fillRect([half - 1, 0, 2, height], [1.0, 1.0, 1.0, 1.0]);
+        } else if (layout === 'pip') {
+            // Field in a bordered inset at the bottom right
+            const w = Math.floor(width * 0.3);
+            const h = Math.floor(height * 0.3);
+            const x = width - w - 16;
+            const y = 16;
+            this.drawDye(full);
+            this.fillRect([x - 2, y - 2, w + 4, h + 4], [1.0, 1.0, 1.0, 1.0]);
+            this.drawView(field.program, this.getFieldUniforms(field, w, h), [x, y, w, h]);
+        } else {
+            this.drawView(field.program, this.getFieldUniforms(field, width, height), full);
+        }
+    }
+
+    // The dye view, with the particle layer over it when enabled
+    drawDye(viewport, scissor = null) {
+        this.drawView(this.getDisplayProgram(), this.getDyeUniforms(), viewport, scissor);
+        if (!this.particles || !this.config.particles) return;
+
+        const gl = this.gl;
+        if (scissor) {
+            gl.enable(gl.SCISSOR_TEST);
+            gl.scissor(scissor[0], scissor[1], scissor[2], scissor[3]);
+        }
+        this.drawParticles(viewport);
+        if (scissor) gl.disable(gl.SCISSOR_TEST);
+    }
+
+    // Draws into the bound framebuffer at viewport, optionally clipped to scissor
+    drawView(program, uniforms, viewport, scissor = null) {
+        const gl = this.gl;
+        gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+        if (scissor) {
+            gl.enable(gl.SCISSOR_TEST);
+            gl.scissor(scissor[0], scissor[1], scissor[2], scissor[3]);
+        }
+        this.runProgram(program, null, uniforms);
+        if (scissor) gl.disable(gl.SCISSOR_TEST);
+    }
+
+    // Fills a rectangle of the bound framebuffer, e.g. a view border
+    fillRect(rect, color) {
+        const gl = this.gl;
+        gl.enable(gl.SCISSOR_TEST);
+        gl.scissor(rect[0], rect[1], rect[2], rect[3]);
+        gl.clearColor(color[0], color[1], color[2], color[3]);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.clearColor(0.0, 0.0, 0.0, 0.0);
+        gl.disable(gl.SCISSOR_TEST);
+    }
+
+    getDyeUniforms() {
+        const obstacleColor = this.config.obstacleColor;
+        const background = this.config.backgroundColor;
+        const top = this.config.backgroundGradient ? this.config.backgroundGradientColor : background;
+        return {
+            texelSize: [1.0 / this.density.read.width, 1.0 / this.density.read.height],
+            uTexture: this.density.read.texture,
+            uBloom: this.bloom.texture,
+            uSunrays: this.sunrays.texture,
+            uObstacle: this.obstacles.read.texture,
+            uTemperature: this.temperature.read.texture,
+            temperatureTexelSize: [1.0 / this.temperature.read.width, 1.0 / this.temperature.read.height],
+            obstacleColor: [obstacleColor.r, obstacleColor.g, obstacleColor.b],
+            backgroundBottom: [background.r, background.g, background.b],
+            backgroundTop: [top.r, top.g, top.b],
+            ambient: this.config.ambientTemperature
+        };
+    }
+
+    // The texture and programs behind a display mode
+    getDisplayField(mode) {
+        switch (mode) {
+            case 'velocity':
+                return { target: this.velocity.read, program: this.programs.fieldMagnitude, scalar: false };
+            case 'velocityArrows':
+                return { target: this.velocity.read, program: this.programs.fieldArrows, scalar: false };
+            case 'pressure':
+                return { target: this.pressure.read, program: this.programs.fieldScalar, scalar: true };
+            case 'curl':
+                return { target: this.curl, program: this.programs.fieldScalar, scalar: true };
+            case 'divergence':
+                return { target: this.divergence, program: this.programs.fieldScalar, scalar: true };
+            case 'temperature':
+                return { target: this.temperature.read, program: this.programs.fieldScalar, scalar: true };
+            default:
+                throw new Error(`Unknown display mode: ${mode}`);
+        }
+    }
+
+    getFieldUniforms(field, width, height) {
+        const obstacleColor = this.config.obstacleColor;
+        return {
+            sourceTexelSize: [1.0 / field.target.width, 1.0 / field.target.height],
+            uTexture: field.target.texture,
+            uObstacle: this.obstacles.read.texture,
+            // Arrow glyphs sit on a grid of ~24px cells
+            glyphCell: [GLYPH_SIZE * this.pixelRatio / width, GLYPH_SIZE * this.pixelRatio / height],
+            range: this.displayRange.value,
+            obstacleColor: [obstacleColor.r, obstacleColor.g, obstacleColor.b]
+        };
+    }
+
+    // Reads the field's block peaks back every few frames. The range jumps up
+    // at once and decays slowly, so the colormap doesn't flicker.
+    // config.displayAutoRange = false holds it.
+    updateDisplayRange(mode, field) {
+        const range = this.displayRange;
+        if (range.mode !== mode) {
+            range.mode = mode;
+            range.value = 0;
+            range.countdown = 0;
+        } else if (!this.config.displayAutoRange || range.countdown-- > 0) {
+            return;
+        }
+        range.countdown = 10;
+
+        const program = field.scalar ? this.programs.fieldPeakScalar : this.programs.fieldPeak;
+        const peak = Math.max(...this.reduceField(program, field.target));
+
+        const decayed = range.value * 0.8 + peak * 0.2;
+        range.value = Math.max(peak, decayed, 1e-6);
+    }
+
+    // Runs a fieldReduceShader variant over a sim-grid target and returns
+    // one value per 8x8 block. Reading back stalls the GPU, so use sparingly.
+    reduceField(program, source) {
+        const gl = this.gl;
+        const target = this.reduceTarget;
+
+        this.runProgram(program, target, {
+            uTexture: source.texture,
+            sourceTexelSize: [1.0 / source.width, 1.0 / source.height]
+        });
+
+        const pixels = new Uint8Array(target.width * target.height * 4);
+        gl.readPixels(0, 0, target.width, target.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+        const values = [];
+        for (let i = 0; i < pixels.length; i += 4) {
+            values.push(unpackLog(pixels[i], pixels[i + 1]));
+        }
+        return values;
+    }
+
+    // Field values under a canvas position (pixels), for the hover probe
+    probeFields(x, y) {
+        const gl = this.gl;
+        const point = [x / this.canvas.width, 1.0 - y / this.canvas.height];
+        const pixels = new Uint8Array(4);
+
+        const read = (target) => {
+            this.runProgram(this.programs.fieldProbe, this.probeTarget, {
+                sourceTexelSize: [1.0 / target.width, 1.0 / target.height],
+                uTexture: target.texture,
+                point
+            });
+            gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+            return [unpackLog(pixels[0], pixels[1]), unpackLog(pixels[2], pixels[3])];
+        };
+
+        return {
+            velocity: read(this.velocity.read),
+            pressure: read(this.pressure.read)[0],
+            curl: read(this.curl)[0],
+            divergence: read(this.divergence)[0]
+        };
+    }
+
+    getDisplayProgram() {
+        const keywords = [];
+        if (this.particles && this.config.particles && this.config.particleLayer === 'only') {
+            // Nothing of the dye is shown, so none of its effects either
+            keywords.push('HIDE_DYE');
+            if (this.config.dithering) keywords.push('DITHERING');
+            return this.getDisplayVariant(keywords);
+        }
+        if (this.config.shading) keywords.push('SHADING');
+        if (this.config.bloom) keywords.push('BLOOM');
+        if (this.config.sunrays) keywords.push('SUNRAYS');
+        if (this.config.dithering) keywords.push('DITHERING');
+        if (this.config.fireMode) keywords.push('TEMPERATURE');
+        if (this.config.fireMode && this.config.colorScheme === 'fire') keywords.push('BLACKBODY');
+        return this.getDisplayVariant(keywords);
+    }
+
+    getDisplayVariant(keywords) {
+        const key = keywords.join(',');
+        if (!this.displayPrograms[key]) {
+            const defines = keywords.map(k => `#define ${k}\n`).join('');
+            this.displayPrograms[key] = this.createProgram(
+                this.displayShaders.vertex,
+                defines + this.displayShaders.fragment,
+                `display[${key}]`
+            );
+            this.passNames.set(this.displayPrograms[key], 'display');
+        }
+        return this.displayPrograms[key];
+    }
+
+    // ===== Post Processing =====
+    applyBloom(source) {
+        const gl = this.gl;
+        if (this.bloomFramebuffers.length < 2) return;
+
+        const knee = this.config.bloomThreshold * this.config.bloomSoftKnee + 0.0001;
+        this.runProgram(this.programs.bloomPrefilter, this.bloom, {
+            uTexture: source.texture,
+            curve: [this.config.bloomThreshold - knee, knee * 2, 0.25 / knee],
+            threshold: this.config.bloomThreshold
+        });
+
+        // Blur down the mip chain, then add each level back on the way up
+        let last = this.bloom;
+        this.bloomFramebuffers.forEach(dest => {
+            this.runProgram(this.programs.blur, dest, {
+                texelSize: [1.0 / last.width, 1.0 / last.height],
+                uTexture: last.texture
+            });
+            last = dest;
+        });
+
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.enable(gl.BLEND);
+        for (let i = this.bloomFramebuffers.length - 2; i >= 0; i--) {
+            const dest = this.bloomFramebuffers[i];
+            this.runProgram(this.programs.blur, dest, {
+                texelSize: [1.0 / last.width, 1.0 / last.height],
+                uTexture: last.texture
+            });
+            last = dest;
+        }
+        gl.disable(gl.BLEND);
+
+        this.runProgram(this.programs.bloomFinal, this.bloom, {
+            texelSize: [1.0 / last.width, 1.0 / last.height],
+            uTexture: last.texture,
+            intensity: this.config.bloomIntensity
+        });
+    }
+
+    applySunrays(source) {
+        // The mask goes into the (RGBA) dye write target, which is free until the next step
+        const mask = this.density.write;
+        this.runProgram(this.programs.sunraysMask, mask, {
+            uTexture: source.texture
+        });
+        this.runProgram(this.programs.sunrays, this.sunrays, {
+            uTexture: mask.texture,
+            weight: this.config.sunraysWeight
+        });
+
+        // Soften the rays
+        this.runProgram(this.programs.blur, this.sunraysTemp, {
+            texelSize: [1.0 / this.sunrays.width, 0.0],
+            uTexture: this.sunrays.texture
+        });
+        this.runProgram(this.programs.blur, this.sunrays, {
+            texelSize: [0.0, 1.0 / this.sunrays.height],
+            uTexture: this.sunraysTemp.texture
         });
     }
 
@@ -616,40 +2863,73 @@ class FluidSimulation {
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
         gl.vertexAttribPointer(aPosition, 2, gl.FLOAT, false, 0, 0);
 
-        // Set uniforms
+        this.setUniforms(program, uniforms);
+
+        // Bind target framebuffer
+        if (target) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+            gl.viewport(0, 0, target.width, target.height);
+        }
+
+        this.draw(program, gl.TRIANGLE_FAN, 4);
+    }
+
+    // Every draw goes through here, so it's counted and, while profiling, timed
+    draw(program, mode, count) {
+        const profiler = this.profiler;
+        if (profiler) profiler.begin(this.profilePass || this.passNames.get(program) || 'other');
+        this.gl.drawArrays(mode, 0, count);
+        if (profiler) profiler.end();
+        this.drawCalls++;
+    }
+
+    // Sets uniforms on the program in use; textures take consecutive units
+    setUniforms(program, uniforms) {
+        const gl = this.gl;
+        let textureUnit = 0;
+
         for (const name in uniforms) {
             const location = gl.getUniformLocation(program, name);
             const value = uniforms[name];
 
             if (value instanceof WebGLTexture) {
-                gl.uniform1i(location, 0);
-                gl.activeTexture(gl.TEXTURE0);
+                // Each sampler gets its own unit so multi-texture passes read the right field
+                gl.uniform1i(location, textureUnit);
+                gl.activeTexture(gl.TEXTURE0 + textureUnit);
                 gl.bindTexture(gl.TEXTURE_2D, value);
+                textureUnit++;
             } else if (Array.isArray(value)) {
                 if (value.length === 2) gl.uniform2f(location, value[0], value[1]);
                 else if (value.length === 3) gl.uniform3f(location, value[0], value[1], value[2]);
+                else if (value.length === 4) gl.uniform4f(location, value[0], value[1], value[2], value[3]);
             } else {
                 gl.uniform1f(location, value);
             }
         }
-
-        // Bind target framebuffer
-        if (target) {
-            gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
-            gl.viewport(0, 0, target.width, target.height);
-        }
-
-        // Draw
-        gl.drawArrays(gl.TRIANGLE_FAN, 0, 4);
     }
 
-    splat(x, y, dx, dy, color) {
-        this.runProgram(this.programs.splat, this.velocity.write, {
+    // Pushes velocity (dx, dy) and adds color at canvas pixel (x, y). radius
+    // is the Gaussian's spread, (distance / canvas height)^2 where it falls
+    // to 1/e; weight scales the dye and heat, so a stroke split over several
+    // splats adds as much as one would.
+    splat(x, y, dx, dy, color, radius = this.config.splatRadius, weight = 1) {
+        this.recordInput('splat', {
+            x: x / this.canvas.width,
+            y: y / this.canvas.height,
+            dx,
+            dy,
+            color: { r: color.r, g: color.g, b: color.b },
+            radius,
+            weight
+        });
+        this.emit('splat', { x, y, dx, dy, color, radius, weight });
+
+        this.runProgram(this.programs.splatVelocity, this.velocity.write, {
             uTarget: this.velocity.read.texture,
             aspectRatio: this.canvas.width / this.canvas.height,
             point: [x / this.canvas.width, 1.0 - y / this.canvas.height],
             color: [dx, -dy, 1.0],
-            radius: this.config.splatRadius / 100.0
+            radius
         });
         this.velocity.swap();
 
@@ -657,20 +2937,30 @@ class FluidSimulation {
             uTarget: this.density.read.texture,
             aspectRatio: this.canvas.width / this.canvas.height,
             point: [x / this.canvas.width, 1.0 - y / this.canvas.height],
-            color: [color.r, color.g, color.b],
-            radius: this.config.splatRadius / 100.0
+            color: [color.r * weight, color.g * weight, color.b * weight],
+            radius
         });
         this.density.swap();
+
+        if (this.config.fireMode) {
+            this.runProgram(this.programs.splatVelocity, this.temperature.write, {
+                uTarget: this.temperature.read.texture,
+                aspectRatio: this.canvas.width / this.canvas.height,
+                point: [x / this.canvas.width, 1.0 - y / this.canvas.height],
+                color: [SPLAT_HEAT * weight, 0.0, 0.0],
+                radius
+            });
+            this.temperature.swap();
+        }
     }
 
     multipleSplats(amount) {
         for (let i = 0; i < amount; i++) {
-            const color = this.getRandomColor();
-            const x = Math.random() * this.canvas.width;
-            const y = Math.random() * this.canvas.height;
-            const dx = 1000 * (Math.random() - 0.5);
-            const dy = 1000 * (Math.random() - 0.5);
-            this.splat(x, y, dx, dy, color);
+            const x = this.random() * this.canvas.width;
+            const y = this.random() * this.canvas.height;
+            const dx = 1000 * (this.random() - 0.5);
+            const dy = 1000 * (this.random() - 0.5);
+            this.splat(x, y, dx, dy, this.getPaletteColor(this.nextPaletteT(x, dx, dy)));
         }
     }
 
@@ -680,112 +2970,1290 @@ class FluidSimulation {
         gl.clear(gl.COLOR_BUFFER_BIT);
         this.density.swap();
     }
-}
 
-// ===== UI Controls =====
-class UIController {
-    constructor(simulation) {
-        this.sim = simulation;
-        this.stats = {
-            fps: 60,
-            frameTime: 16,
-            lastTime: performance.now(),
-            frames: 0
-        };
+    // ===== Input Recording & Replay =====
+    // A recording restarts the simulation from empty fields and a known seed,
+    // then logs every pointer and splat event against the step it happened in.
+    // Positions are stored as 0-1 fractions of the canvas so replays survive resizes.
+    startInputRecording(seed = this.seed) {
+        this.stopReplay();
+        this.resetFields();
+        this.setSeed(seed);
+        this.stepCount = 0;
 
-        this.initControls();
-        this.updateStats();
+        this.inputRecording = {
+            version: INPUT_RECORDING_VERSION,
+            seed: this.seed,
+            config: JSON.parse(JSON.stringify(this.config)),
+            canvas: { width: this.canvas.width, height: this.canvas.height },
+            emitters: this.getEmitters(),
+            steps: 0,
+            events: []
+        };
     }
 
-    initControls() {
-        // Viscosity
-        const viscositySlider = document.getElementById('viscosity');
-        const viscosityValue = document.getElementById('viscosity-value');
-        viscositySlider.addEventListener('input', (e) => {
-            this.sim.config.viscosity = parseFloat(e.target.value);
-            viscosityValue.textContent = e.target.value;
-        });
+    stopInputRecording() {
+        const recording = this.inputRecording;
+        if (!recording) return null;
 
-        // Diffusion
-        const diffusionSlider = document.getElementById('diffusion');
-        const diffusionValue = document.getElementById('diffusion-value');
-        diffusionSlider.addEventListener('input', (e) => {
-            this.sim.config.diffusion = parseFloat(e.target.value);
-            diffusionValue.textContent = e.target.value;
-        });
+        recording.steps = this.stepCount;
+        this.inputRecording = null;
+        return recording;
+    }
 
-        // Pressure
-        const pressureSlider = document.getElementById('pressure');
-        const pressureValue = document.getElementById('pressure-value');
-        pressureSlider.addEventListener('input', (e) => {
-            this.sim.config.pressure = parseInt(e.target.value);
-            pressureValue.textContent = e.target.value;
-        });
+    recordInput(type, data) {
+        if (!this.inputRecording) return;
+        this.inputRecording.events.push(Object.assign({ step: this.stepCount, type }, data));
+    }
 
-        // Curl
-        const curlSlider = document.getElementById('curl');
-        const curlValue = document.getElementById('curl-value');
-        curlSlider.addEventListener('input', (e) => {
-            this.sim.config.curl = parseInt(e.target.value);
-            curlValue.textContent = e.target.value;
-        });
-
-        // Splat Radius
-        const splatRadiusSlider = document.getElementById('splatRadius');
-        const splatRadiusValue = document.getElementById('splatRadius-value');
-        splatRadiusSlider.addEventListener('input', (e) => {
-            this.sim.config.splatRadius = parseFloat(e.target.value) * 100;
-            splatRadiusValue.textContent = e.target.value;
-        });
-
-        // Color schemes
-        const schemeButtons = document.querySelectorAll('.scheme-btn');
-        schemeButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                schemeButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.sim.config.colorScheme = btn.dataset.scheme;
-            });
-        });
+    // Replays the splats of a recording on the fixed timestep. Pointer events
+    // are kept in the file for inspection only; their effect is in the splats.
+    startReplay(recording) {
+        if (!recording || ![1, INPUT_RECORDING_VERSION].includes(recording.version) || !Array.isArray(recording.events)) {
+            throw new Error('Not a valid input recording');
+        }
+        recording = upgradeInputRecording(recording);
 
-        // Clear button
-        document.getElementById('clearBtn').addEventListener('click', () => {
-            this.sim.clear();
-        });
+        this.stopInputRecording();
+        this.pointers = [];
+        this.splatStack = [];
+        this.applyConfig(recording.config);
+        // Emitters are part of the scene; older recordings keep the current ones
+        if (Array.isArray(recording.emitters)) this.setEmitters(recording.emitters);
+        this.resetFields();
+        this.setSeed(recording.seed);
+        this.stepCount = 0;
 
-        // Stats toggle
-        const statsDisplay = document.getElementById('stats');
-        document.getElementById('statsToggle').addEventListener('click', () => {
-            statsDisplay.classList.toggle('active');
-        });
+        this.replay = {
+            recording,
+            splats: recording.events.filter(e => e.type === 'splat'),
+            cursor: 0
+        };
     }
 
-    updateStats() {
-        const now = performance.now();
-        this.stats.frames++;
+    stopReplay() {
+        this.replay = null;
+    }
+
+    applyReplayEvents() {
+        const replay = this.replay;
+        const splats = replay.splats;
 
-        if (now >= this.stats.lastTime + 1000) {
-            this.stats.fps = Math.round((this.stats.frames * 1000) / (now - this.stats.lastTime));
-            this.stats.frameTime = Math.round(1000 / this.stats.fps);
-            this.stats.frames = 0;
-            this.stats.lastTime = now;
+        while (replay.cursor < splats.length && splats[replay.cursor].step <= this.stepCount) {
+            const e = splats[replay.cursor++];
+            // Older recordings carry no radius or weight; the defaults apply
+            this.splat(e.x * this.canvas.width, e.y * this.canvas.height, e.dx, e.dy, e.color, e.radius, e.weight);
+        }
 
-            document.getElementById('fps').textContent = this.stats.fps;
-            document.getElementById('frameTime').textContent = this.stats.frameTime + 'ms';
+        if (this.stepCount >= replay.recording.steps) {
+            this.stopReplay();
         }
+    }
 
-        requestAnimationFrame(() => this.updateStats());
+    // Empties dye, velocity and pressure
+    resetFields() {
+        [
+            this.velocity.read, this.velocity.write,
+            this.pressure.read, this.pressure.write
+        ].forEach(target => this.clearField(target));
+        this.clearTarget(this.density.read);
+        this.clearTarget(this.density.write);
+        this.resetTemperature();
     }
-}
 
-// ===== Initialize Application =====
-window.addEventListener('DOMContentLoaded', () => {
-    const canvas = document.getElementById('fluidCanvas');
-    const simulation = new FluidSimulation(canvas);
-    const ui = new UIController(simulation);
-
-    // Add some initial splats for visual interest
-    setTimeout(() => {
-        simulation.multipleSplats(Math.random() * 10 + 5);
-    }, 100);
-});
+    // ===== Configuration =====
+    // Merges values into config and rebuilds whatever GPU state depends on them
+    applyConfig(values) {
+        const changed = (key) => key in values && values[key] !== this.config[key];
+        const resolutionChanged = changed('simResolution') || changed('dyeResolution');
+        const bloomChanged = changed('bloomIterations') || changed('bloomResolution');
+        const sunraysChanged = changed('sunraysResolution');
+
+        const boundaryChanged = changed('boundary');
+        const fireStarted = changed('fireMode') && values.fireMode;
+
+        Object.assign(this.config, values);
+
+        if (boundaryChanged) this.rebuildPrograms();
+        // Start the fire from a uniformly ambient temperature field
+        if (fireStarted) this.resetTemperature();
+        if (resolutionChanged) {
+            this.resizeFramebuffers();
+        } else {
+            if (bloomChanged) this.initBloomFramebuffers();
+            if (sunraysChanged) this.initSunraysFramebuffers();
+        }
+    }
+
+    // ===== Capture =====
+    // Renders the current dye field offscreen at scale x the canvas size
+    // and resolves with a PNG blob. Independent of preserveDrawingBuffer.
+    captureSnapshot(scale = 1) {
+        const gl = this.gl;
+        const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        const factor = Math.min(scale, maxSize / this.canvas.width, maxSize / this.canvas.height);
+        const width = Math.floor(this.canvas.width * factor);
+        const height = Math.floor(this.canvas.height * factor);
+
+        const rgba = this.formatRGBA8;
+        const target = this.createFBO(width, height, rgba.internalFormat, rgba.format, rgba.type, gl.LINEAR);
+        this.render(target);
+
+        const pixels = new Uint8Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.deleteFBO(target);
+
+        // GL rows run bottom-up; image rows run top-down
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const ctx = output.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        const rowSize = width * 4;
+        for (let y = 0; y < height; y++) {
+            const src = (height - 1 - y) * rowSize;
+            image.data.set(pixels.subarray(src, src + rowSize), y * rowSize);
+        }
+        ctx.putImageData(image, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            output.toBlob(blob => blob ? resolve(blob) : reject(new Error('Snapshot encoding failed')), 'image/png');
+        });
+    }
+
+    // Records the live canvas as WebM. Resolves with the video blob once
+    // stopRecording() is called or maxDuration (seconds) runs out.
+    startRecording(options = {}) {
+        if (this.recording) return this.recording.done;
+
+        const { maxDuration = 30, bitrate = 8000000 } = options;
+
+        // Frame rate 0: frames are pushed manually right after each render()
+        const stream = this.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+        const chunks = [];
+
+        const done = new Promise((resolve) => {
+            recorder.addEventListener('dataavailable', (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            });
+            recorder.addEventListener('stop', () => {
+                track.stop();
+                resolve(new Blob(chunks, { type: 'video/webm' }));
+            });
+        });
+
+        this.recording = {
+            recorder,
+            track,
+            done,
+            startTime: performance.now(),
+            timer: setTimeout(() => this.stopRecording(), maxDuration * 1000)
+        };
+        recorder.start(1000);
+
+        return done;
+    }
+
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return Promise.resolve(null);
+
+        clearTimeout(recording.timer);
+        recording.recorder.stop();
+        this.recording = null;
+
+        return recording.done;
+    }
+
+    // ===== Obstacles =====
+    // Shapes are given in canvas pixels, like splat().
+    //   { type: 'circle', x, y, radius }
+    //   { type: 'rect', x, y, width, height }  (x, y is the centre)
+    //   { type: 'path', points: [{ x, y }, ...], radius }
+    // Pass erase: true to cut the shape out of existing obstacles instead.
+    // Throws a TypeError for any other type.
+    addObstacle(shape) {
+        const erase = !!shape.erase;
+
+        switch (shape.type) {
+            case 'circle':
+                this.drawObstacleCapsule(shape.x, shape.y, shape.x, shape.y, shape.radius, erase);
+                break;
+            case 'rect':
+                this.drawObstacleRect(shape.x, shape.y, shape.width, shape.height, erase);
+                break;
+            case 'path': {
+                const points = shape.points;
+                for (let i = 0; i < points.length; i++) {
+                    const prev = points[Math.max(i - 1, 0)];
+                    this.drawObstacleCapsule(prev.x, prev.y, points[i].x, points[i].y, shape.radius, erase);
+                }
+                break;
+            }
+            default:
+                throw new TypeError(`Unknown obstacle type: ${shape.type}`);
+        }
+    }
+
+    drawObstacleCapsule(x0, y0, x1, y1, radius, erase) {
+        this.runProgram(this.programs.obstacle, this.obstacles.write, {
+            uTarget: this.obstacles.read.texture,
+            aspectRatio: this.canvas.width / this.canvas.height,
+            shape: 0,
+            pointA: [x0 / this.canvas.width, 1.0 - y0 / this.canvas.height],
+            pointB: [x1 / this.canvas.width, 1.0 - y1 / this.canvas.height],
+            halfSize: [0, 0],
+            radius: radius / this.canvas.height,
+            erase: erase ? 1 : 0
+        });
+        this.obstacles.swap();
+    }
+
+    drawObstacleRect(x, y, width, height, erase) {
+        this.runProgram(this.programs.obstacle, this.obstacles.write, {
+            uTarget: this.obstacles.read.texture,
+            aspectRatio: this.canvas.width / this.canvas.height,
+            shape: 1,
+            pointA: [x / this.canvas.width, 1.0 - y / this.canvas.height],
+            pointB: [0, 0],
+            halfSize: [0.5 * Math.abs(width) / this.canvas.height, 0.5 * Math.abs(height) / this.canvas.height],
+            radius: 0,
+            erase: erase ? 1 : 0
+        });
+        this.obstacles.swap();
+    }
+
+    // Marks every pixel of the image whose alpha exceeds the threshold as solid.
+    // The image is fitted inside the canvas (contain), centred on x/y (0-1).
+    loadObstacleImage(image, options = {}) {
+        const gl = this.gl;
+        const { threshold = 0.5, scale = 0.8, x = 0.5, y = 0.5 } = options;
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+        const canvasAspect = this.canvas.width / this.canvas.height;
+        const imageAspect = (image.naturalWidth || image.width) / (image.naturalHeight || image.height);
+        let w = scale;
+        let h = scale;
+        if (imageAspect > canvasAspect) h = scale * canvasAspect / imageAspect;
+        else w = scale * imageAspect / canvasAspect;
+
+        this.runProgram(this.programs.obstacleImage, this.obstacles.write, {
+            uTarget: this.obstacles.read.texture,
+            uImage: texture,
+            imageRect: [x - w / 2, (1 - y) - h / 2, x + w / 2, (1 - y) + h / 2],
+            threshold
+        });
+        this.obstacles.swap();
+
+        gl.deleteTexture(texture);
+    }
+
+    clearObstacles() {
+        this.clearTarget(this.obstacles.read);
+        this.clearTarget(this.obstacles.write);
+    }
+
+    // Pointer-driven drawing for the obstacle tools
+    beginObstacleStroke(x, y) {
+        this.obstacleStroke = { tool: this.obstacleTool, startX: x, startY: y, x, y };
+        if (this.obstacleTool === 'freehand' || this.obstacleTool === 'erase') {
+            this.moveObstacleStroke(x, y);
+        }
+    }
+
+    moveObstacleStroke(x, y) {
+        const stroke = this.obstacleStroke;
+        if (stroke.tool === 'freehand' || stroke.tool === 'erase') {
+            const radius = this.config.obstacleBrush * this.pixelRatio;
+            this.drawObstacleCapsule(stroke.x, stroke.y, x, y, radius, stroke.tool === 'erase');
+        }
+        stroke.x = x;
+        stroke.y = y;
+    }
+
+    endObstacleStroke(x, y) {
+        const stroke = this.obstacleStroke;
+        if (stroke.tool === 'circle') {
+            const radius = Math.hypot(x - stroke.startX, y - stroke.startY);
+            this.addObstacle({ type: 'circle', x: stroke.startX, y: stroke.startY, radius });
+        } else if (stroke.tool === 'rect') {
+            this.addObstacle({
+                type: 'rect',
+                x: (stroke.startX + x) / 2,
+                y: (stroke.startY + y) / 2,
+                width: x - stroke.startX,
+                height: y - stroke.startY
+            });
+        }
+        this.obstacleStroke = null;
+    }
+
+    // ===== Profiling =====
+    // While config.profiling is on every draw is timed and summed per pass
+    // (PROFILE_PASSES). Timings come from GPU timer queries where the
+    // EXT_disjoint_timer_query_webgl2 extension exists and are otherwise
+    // measured on the CPU around gl.finish(), which stalls the pipeline, so
+    // frame rates drop while profiling and the numbers run high.
+    updateProfiler() {
+        if (this.config.profiling && !this.profiler) {
+            this.profiler = new PassProfiler(this.gl, this.isWebGL2);
+        } else if (!this.config.profiling && this.profiler) {
+            this.profiler.delete();
+            this.profiler = null;
+        }
+        if (this.profiler) this.profiler.beginFrame();
+    }
+
+    // Averages over the last frames profiled: { timing ('gpu' or 'cpu'),
+    // frames, frameTime, gpuTime, drawCalls, passes: { name: { time, calls } } }
+    // with times in ms; null while not profiling
+    getProfile(frames = 60) {
+        return this.profiler ? this.profiler.summarize(frames) : null;
+    }
+
+    // The whole profiling session with the device and setup it ran on, for
+    // comparing machines; null while not profiling
+    exportProfile() {
+        const profiler = this.profiler;
+        if (!profiler) return null;
+
+        const gl = this.gl;
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        return {
+            version: 1,
+            date: new Date().toISOString(),
+            device: {
+                userAgent: navigator.userAgent,
+                renderer: gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER),
+                vendor: gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR),
+                webgl: this.isWebGL2 ? 2 : 1,
+                encodedFields: this.encodedFields
+            },
+            canvas: { width: this.canvas.width, height: this.canvas.height },
+            grid: { width: this.velocity.read.width, height: this.velocity.read.height },
+            dye: { width: this.density.read.width, height: this.density.read.height },
+            fboMemory: this.fboMemory,
+            config: JSON.parse(JSON.stringify(this.config)),
+            timing: profiler.timing,
+            summary: profiler.summarize(profiler.frames.length),
+            frames: profiler.frames
+        };
+    }
+
+    // ===== Particles =====
+    // Tracers advected through the velocity field entirely on the GPU. Their
+    // state is a square texture allocated the first step config.particles is on
+    // and freed when it's turned off. Positions are in texture coordinates, so
+    // resizing the grids doesn't disturb them.
+    initParticles() {
+        const gl = this.gl;
+        if (this.particles) this.deleteParticles();
+
+        const requested = this.config.particleCount;
+        const count = Math.min(Math.max(Math.round(requested), 1), MAX_PARTICLES);
+        const size = Math.ceil(Math.sqrt(count));
+        const rgba8 = this.formatRGBA8;
+        const state = this.createDoubleFBO(size, size, rgba8.internalFormat, rgba8.format, rgba8.type, gl.NEAREST);
+
+        // Two vertices per particle, tail then head: the state texel and an end flag
+        const vertices = new Float32Array(count * 6);
+        for (let i = 0; i < count; i++) {
+            const u = (i % size + 0.5) / size;
+            const v = (Math.floor(i / size) + 0.5) / size;
+            vertices[i * 6] = vertices[i * 6 + 3] = u;
+            vertices[i * 6 + 1] = vertices[i * 6 + 4] = v;
+            vertices[i * 6 + 5] = 1;
+        }
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+
+        // Speed colors look the palette up here; refreshed every draw
+        const palette = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, palette);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        this.particles = {
+            requested,
+            count,
+            state,
+            buffer,
+            palette,
+            paletteData: new Uint8Array(PARTICLE_PALETTE_SIZE * 4)
+        };
+
+        // Scatter them all at once
+        this.updateParticles(0, 1);
+    }
+
+    deleteParticles() {
+        const particles = this.particles;
+        this.deleteFBO(particles.state.read);
+        this.deleteFBO(particles.state.write);
+        this.gl.deleteBuffer(particles.buffer);
+        this.gl.deleteTexture(particles.palette);
+        this.particles = null;
+    }
+
+    stepParticles(dt) {
+        if (!this.particles || this.particles.requested !== this.config.particleCount) this.initParticles();
+        this.updateParticles(dt, 0);
+    }
+
+    // Afterwards state.read holds the positions and state.write the previous
+    // ones, which streaks are drawn from
+    updateParticles(dt, reset) {
+        const state = this.particles.state;
+        const program = this.programs[PARTICLE_SPAWN_PROGRAMS[this.config.particleSpawn]] ||
+            this.programs.particleUpdate;
+
+        this.runProgram(program, state.write, {
+            uState: state.read.texture,
+            uVelocity: this.velocity.read.texture,
+            uObstacle: this.obstacles.read.texture,
+            uDensity: this.density.read.texture,
+            velocityTexelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
+            dt,
+            time: this.stepCount * FIXED_DT,
+            lifetime: Math.max(this.config.particleLifetime, 0.1),
+            reset
+        });
+        state.swap();
+    }
+
+    // Draws into the bound framebuffer, additively over whatever is there
+    drawParticles(viewport) {
+        const gl = this.gl;
+        const particles = this.particles;
+        const streaks = this.config.particleStyle === 'streaks';
+        const program = streaks ? this.programs.particleStreaks : this.programs.particlePoints;
+
+        const data = particles.paletteData;
+        for (let i = 0; i < PARTICLE_PALETTE_SIZE; i++) {
+            const color = this.getPaletteColor(i / (PARTICLE_PALETTE_SIZE - 1));
+            data[i * 4] = Math.min(Math.max(color.r, 0), 1) * 255;
+            data[i * 4 + 1] = Math.min(Math.max(color.g, 0), 1) * 255;
+            data[i * 4 + 2] = Math.min(Math.max(color.b, 0), 1) * 255;
+            data[i * 4 + 3] = 255;
+        }
+        gl.bindTexture(gl.TEXTURE_2D, particles.palette);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, PARTICLE_PALETTE_SIZE, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+
+        gl.useProgram(program);
+        this.setUniforms(program, {
+            uState: particles.state.read.texture,
+            uPrevious: particles.state.write.texture,
+            uVelocity: this.velocity.read.texture,
+            uDensity: this.density.read.texture,
+            uPalette: particles.palette,
+            velocityTexelSize: [1.0 / this.velocity.read.width, 1.0 / this.velocity.read.height],
+            dyeTexelSize: [1.0 / this.density.read.width, 1.0 / this.density.read.height],
+            time: this.stepCount * FIXED_DT,
+            lifetime: Math.max(this.config.particleLifetime, 0.1),
+            // Sized in canvas pixels, so larger snapshots keep the look
+            pointSize: this.config.particleSize * this.pixelRatio * viewport[3] / this.canvas.height,
+            streakLength: PARTICLE_STREAK_LENGTH,
+            speedRange: PARTICLE_SPEED_RANGE,
+            dyeColor: this.config.particleColor === 'dye' ? 1 : 0,
+            intensity: PARTICLE_INTENSITY
+        });
+
+        const aParticle = gl.getAttribLocation(program, 'aParticle');
+        const aEnd = streaks ? gl.getAttribLocation(program, 'aEnd') : -1;
+        gl.bindBuffer(gl.ARRAY_BUFFER, particles.buffer);
+        gl.enableVertexAttribArray(aParticle);
+        if (streaks) {
+            gl.vertexAttribPointer(aParticle, 2, gl.FLOAT, false, 12, 0);
+            gl.enableVertexAttribArray(aEnd);
+            gl.vertexAttribPointer(aEnd, 1, gl.FLOAT, false, 12, 8);
+        } else {
+            // Head vertices only
+            gl.vertexAttribPointer(aParticle, 2, gl.FLOAT, false, 24, 12);
+        }
+
+        gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        this.draw(program, streaks ? gl.LINES : gl.POINTS, streaks ? particles.count * 2 : particles.count);
+        gl.disable(gl.BLEND);
+
+        // Left enabled, these would outlive the buffer they point into
+        gl.disableVertexAttribArray(aParticle);
+        if (aEnd >= 0) gl.disableVertexAttribArray(aEnd);
+    }
+
+    // ===== Image & Video Dye =====
+    // Media is fitted to the canvas (MEDIA_FITS: 'contain', 'cover' or 'stretch')
+    // and redrawn at the size it covers on the target grid before upload, so a
+    // large photo is filtered down properly instead of aliased by the sampler.
+    // MEDIA_BLENDS: 'mix' fades the dye towards the media, 'add' and 'screen'
+    // brighten it. On the velocity field the media's brightness gradient pushes
+    // fluid from light areas into dark ones.
+
+    // Paints an image into the dye once, e.g. a dropped photo that then melts.
+    // At the default strength of 1 with 'mix' it replaces the dye it covers.
+    loadDyeImage(image, options = {}) {
+        const settings = Object.assign({ fit: 'contain', blend: 'mix', strength: 1 }, options);
+        this.validateMediaOptions(settings);
+
+        const rect = this.getMediaRect(image, settings.fit);
+        const texture = this.createMediaTexture();
+        this.uploadMedia(texture, image, rect, this.density.read);
+        this.blendMedia(texture, rect, this.density, this.programs[MEDIA_BLEND_PROGRAMS[settings.blend]],
+            Math.min(settings.strength, 1));
+        this.gl.deleteTexture(texture);
+    }
+
+    // Streams a playing video into the dye or velocity every step until
+    // clearMediaSource(). Options: target ('dye' or 'velocity'), fit, blend and
+    // strength (dye: fraction blended per second / MEDIA_RATE; velocity: push).
+    // Calling it again with the same element only changes the options.
+    setMediaSource(video, options = {}) {
+        if (this.mediaSource && this.mediaSource.element !== video) this.clearMediaSource();
+
+        const source = Object.assign(
+            { target: 'dye', fit: 'contain', blend: 'mix', strength: 1, texture: null, uploaded: null },
+            this.mediaSource,
+            options
+        );
+        this.validateMediaOptions(source);
+        source.element = video;
+        this.mediaSource = source;
+    }
+
+    clearMediaSource() {
+        const source = this.mediaSource;
+        if (!source) return;
+        if (source.texture) this.gl.deleteTexture(source.texture);
+        this.mediaSource = null;
+    }
+
+    validateMediaOptions(options) {
+        if (!MEDIA_FITS.includes(options.fit)) throw new Error(`Unknown media fit: ${options.fit}`);
+        if (!MEDIA_BLENDS.includes(options.blend)) throw new Error(`Unknown media blend: ${options.blend}`);
+        if ('target' in options && !MEDIA_TARGETS.includes(options.target)) {
+            throw new Error(`Unknown media target: ${options.target}`);
+        }
+        if (!Number.isFinite(options.strength)) throw new Error('Media strength must be a number');
+    }
+
+    applyMediaSource(dt) {
+        const source = this.mediaSource;
+        const video = source.element;
+        // HAVE_CURRENT_DATA: there is a frame to draw
+        if (video.readyState < 2) return;
+
+        const toVelocity = source.target === 'velocity';
+        const target = toVelocity ? this.velocity : this.density;
+        const rect = this.getMediaRect(video, source.fit);
+
+        if (!source.texture) source.texture = this.createMediaTexture();
+        // Re-upload only when the frame, the fit or the grid changed
+        const key = `${video.currentTime}|${rect.join()}|${target.read.width}x${target.read.height}`;
+        if (source.uploaded !== key) {
+            this.uploadMedia(source.texture, video, rect, target.read);
+            source.uploaded = key;
+        }
+
+        if (toVelocity) {
+            this.blendMedia(source.texture, rect, target, this.programs.mediaVelocity,
+                source.strength * MEDIA_FORCE * dt);
+        } else {
+            this.blendMedia(source.texture, rect, target, this.programs[MEDIA_BLEND_PROGRAMS[source.blend]],
+                Math.min(source.strength * MEDIA_RATE * dt, 1));
+        }
+    }
+
+    // Fitted media rectangle in texture coordinates: [left, bottom, right, top]
+    getMediaRect(media, fit) {
+        const canvasAspect = this.canvas.width / this.canvas.height;
+        const mediaAspect = (media.videoWidth || media.naturalWidth || media.width) /
+            (media.videoHeight || media.naturalHeight || media.height);
+
+        let w = 1;
+        let h = 1;
+        if (fit === 'contain') {
+            w = Math.min(1, mediaAspect / canvasAspect);
+            h = Math.min(1, canvasAspect / mediaAspect);
+        } else if (fit === 'cover') {
+            w = Math.max(1, mediaAspect / canvasAspect);
+            h = Math.max(1, canvasAspect / mediaAspect);
+        }
+        return [0.5 - w / 2, 0.5 - h / 2, 0.5 + w / 2, 0.5 + h / 2];
+    }
+
+    createMediaTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    // Draws the media at the size its rectangle covers on the grid (never
+    // above its own size) through a 2D canvas, then uploads that
+    uploadMedia(texture, media, rect, grid) {
+        const gl = this.gl;
+        const width = Math.max(1, Math.min(
+            media.videoWidth || media.naturalWidth || media.width,
+            Math.round((rect[2] - rect[0]) * grid.width)
+        ));
+        const height = Math.max(1, Math.min(
+            media.videoHeight || media.naturalHeight || media.height,
+            Math.round((rect[3] - rect[1]) * grid.height)
+        ));
+
+        if (!this.mediaCanvas) this.mediaCanvas = document.createElement('canvas');
+        const canvas = this.mediaCanvas;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+        context.drawImage(media, 0, 0, width, height);
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    }
+
+    blendMedia(texture, rect, target, program, strength) {
+        this.runProgram(program, target.write, {
+            uTarget: target.read.texture,
+            uMedia: texture,
+            mediaRect: rect,
+            texelSize: [1.0 / target.read.width, 1.0 / target.read.height],
+            strength
+        });
+        target.swap();
+    }
+
+    // ===== Emitters =====
+    // Splat sources that keep running without a pointer. Positions are 0-1
+    // fractions of the canvas (like recordings); angle is in degrees,
+    // counter-clockwise from +x, so 90 points up.
+    //   type         'jet' (directional), 'fountain' (radial), 'vortex' (rotating) or 'source' (dye only)
+    //   rate         strength multiplier, 1 is a steady medium flow
+    //   radius       spread, in the same units as config.splatRadius
+    //   color        'palette' (one palette stop), 'cycle' (walks the palette) or { r, g, b }
+    //   oscillation  'none', 'sine' (rate swells), 'pulse' (rate on/off) or 'sweep' (a jet swings
+    //                its angle); frequency in Hz, amplitude 0-1
+    addEmitter(options = {}) {
+        const emitter = this.normalizeEmitter(options);
+        emitter.id = this.nextEmitterId++;
+        this.emitters.push(emitter);
+        this.emit('emitters', { emitters: this.emitters });
+        return emitter;
+    }
+
+    updateEmitter(id, changes) {
+        const index = this.emitters.findIndex(e => e.id === id);
+        if (index < 0) throw new Error(`No emitter with id ${id}`);
+
+        const emitter = this.normalizeEmitter(changes, this.emitters[index]);
+        emitter.id = id;
+        this.emitters[index] = emitter;
+        this.emit('emitters', { emitters: this.emitters });
+        return emitter;
+    }
+
+    removeEmitter(id) {
+        this.emitters = this.emitters.filter(e => e.id !== id);
+        this.emit('emitters', { emitters: this.emitters });
+    }
+
+    clearEmitters() {
+        this.setEmitters([]);
+    }
+
+    // Replaces every emitter, e.g. from a saved scene. Validates the whole
+    // list before touching the current one.
+    setEmitters(list) {
+        const emitters = list.map(options => this.normalizeEmitter(options));
+        emitters.forEach(emitter => { emitter.id = this.nextEmitterId++; });
+        this.emitters = emitters;
+        this.emit('emitters', { emitters: this.emitters });
+    }
+
+    // Plain copies without ids, for saving with a scene
+    getEmitters() {
+        return this.emitters.map(emitter => {
+            const copy = JSON.parse(JSON.stringify(emitter));
+            delete copy.id;
+            return copy;
+        });
+    }
+
+    // Fills in defaults over base and checks every field, throwing with a readable message
+    normalizeEmitter(options, base = EMITTER_DEFAULTS) {
+        const emitter = Object.assign({}, base, options);
+        delete emitter.id;
+
+        if (!EMITTER_TYPES.includes(emitter.type)) {
+            throw new Error(`Unknown emitter type: ${emitter.type}`);
+        }
+        if (!EMITTER_OSCILLATIONS.includes(emitter.oscillation)) {
+            throw new Error(`Unknown emitter oscillation: ${emitter.oscillation}`);
+        }
+        for (const key of ['x', 'y', 'angle', 'rate', 'radius', 'frequency', 'amplitude']) {
+            if (!Number.isFinite(emitter[key])) throw new Error(`Emitter ${key} must be a number`);
+        }
+
+        const color = emitter.color;
+        if (color && typeof color === 'object') {
+            if (!['r', 'g', 'b'].every(c => Number.isFinite(color[c]))) {
+                throw new Error('Emitter color must be an { r, g, b } color');
+            }
+            emitter.color = { r: color.r, g: color.g, b: color.b };
+        } else if (!EMITTER_COLOR_SOURCES.includes(color)) {
+            throw new Error(`Unknown emitter color: ${color}`);
+        }
+
+        // Palette position, picked once so the emitter keeps its color
+        if (!Number.isFinite(emitter.paletteT)) {
+            emitter.paletteT = this.nextPaletteT(emitter.x * this.canvas.width, 0, 0);
+        }
+        return emitter;
+    }
+
+    applyEmitters(dt) {
+        // Timed on simulation steps so replays oscillate in sync
+        const time = this.stepCount * FIXED_DT;
+        for (let i = 0; i < this.emitters.length; i++) {
+            this.applyEmitter(this.emitters[i], time, dt);
+        }
+    }
+
+    applyEmitter(emitter, time, dt) {
+        const wave = Math.sin(2.0 * Math.PI * emitter.frequency * time);
+        const phase = emitter.frequency * time % 1;
+        let rate = emitter.rate;
+        let angle = emitter.angle;
+        switch (emitter.oscillation) {
+            case 'sine':
+                rate *= 1.0 + emitter.amplitude * wave;
+                break;
+            case 'pulse':
+                if (phase >= 0.5) rate *= 1.0 - emitter.amplitude;
+                break;
+            case 'sweep':
+                angle += 90.0 * emitter.amplitude * wave;
+                break;
+        }
+        if (rate <= 0) return;
+
+        const point = [emitter.x, 1.0 - emitter.y];
+        const radius = emitter.radius;
+        const speed = rate * EMITTER_SPEED * dt;
+
+        if (emitter.type === 'jet') {
+            const direction = angle * Math.PI / 180.0;
+            this.splatField(this.programs.splatVelocity, this.velocity, point,
+                [speed * Math.cos(direction), speed * Math.sin(direction), 0.0], radius);
+        } else if (emitter.type === 'fountain') {
+            this.splatField(this.programs.splatRadial, this.velocity, point, [speed, 0.0, 0.0], radius);
+        } else if (emitter.type === 'vortex') {
+            this.splatField(this.programs.splatSwirl, this.velocity, point, [speed, 0.0, 0.0], radius);
+        }
+
+        const amount = rate * EMITTER_FLOW * dt;
+        const color = this.getEmitterColor(emitter, time);
+        this.splatField(this.programs.splat, this.density, point,
+            [color.r * amount, color.g * amount, color.b * amount], radius);
+
+        if (this.config.fireMode) {
+            this.splatField(this.programs.splatVelocity, this.temperature, point,
+                [SPLAT_HEAT * amount, 0.0, 0.0], radius);
+        }
+    }
+
+    getEmitterColor(emitter, time) {
+        if (emitter.color === 'palette') return this.getPaletteColor(emitter.paletteT);
+        if (emitter.color === 'cycle') {
+            return this.getPaletteColor((emitter.paletteT + time * EMITTER_CYCLE_SPEED) % 1);
+        }
+        return emitter.color;
+    }
+
+    // One splat into a double FBO; point is in 0-1 texture coordinates
+    splatField(program, target, point, color, radius) {
+        this.runProgram(program, target.write, {
+            uTarget: target.read.texture,
+            aspectRatio: this.canvas.width / this.canvas.height,
+            point,
+            color,
+            radius
+        });
+        target.swap();
+    }
+
+    // Click places an emitter of the current tool type; dragging aims it
+    beginEmitterPlacement(x, y) {
+        const emitter = this.addEmitter({
+            type: this.emitterTool,
+            x: x / this.canvas.width,
+            y: y / this.canvas.height
+        });
+        this.emitterPlacement = { id: emitter.id, startX: x, startY: y };
+    }
+
+    moveEmitterPlacement(x, y) {
+        const placement = this.emitterPlacement;
+        const dx = x - placement.startX;
+        const dy = y - placement.startY;
+        // Ignore jitter before the drag means anything
+        if (Math.hypot(dx, dy) < 8 * this.pixelRatio) return;
+
+        const angle = Math.atan2(-dy, dx) * 180.0 / Math.PI;
+        this.updateEmitter(placement.id, { angle: (angle + 360.0) % 360.0 });
+    }
+}
+
+// Simulation timestep in seconds, whatever the frame rate
+const FIXED_DT = 0.016;
+// Frame gaps longer than this (ms) aren't caught up on
+const MAX_FRAME_GAP = 250;
+
+// Encoded (RGBA8) fields hold values in [-FIELD_RANGE, FIELD_RANGE]
+const FIELD_RANGE = 1024;
+
+// Temperature a splat adds at its centre in fire mode
+const SPLAT_HEAT = 1.0;
+// Pointer samples splatted per step; more are merged
+const MAX_POINTER_SAMPLES = 8;
+
+// Devices that can't sense pressure report 0.5 while pressed
+function pointerPressure(e) {
+    return e.pressure || 0.5;
+}
+
+// 0 for an upright pen (and any other pointer), 1 lying flat
+function pointerTilt(e) {
+    return Math.min(Math.hypot(e.tiltX || 0, e.tiltY || 0) / 90, 1);
+}
+
+// Merges runs of consecutive samples so at most max remain; a merged sample
+// sits at the end of its run and carries the run's whole push
+function thinSamples(samples, max) {
+    if (samples.length <= max) return samples;
+
+    const size = Math.ceil(samples.length / max);
+    const thinned = [];
+    for (let i = 0; i < samples.length; i += size) {
+        const run = samples.slice(i, i + size);
+        thinned.push(Object.assign({}, run[run.length - 1], {
+            dx: run.reduce((sum, sample) => sum + sample.dx, 0),
+            dy: run.reduce((sum, sample) => sum + sample.dy, 0)
+        }));
+    }
+    return thinned;
+}
+
+// Version 1 recordings stored splat and emitter radii x100
+const INPUT_RECORDING_VERSION = 2;
+
+// A version 1 recording in today's units; newer ones are returned as they are
+function upgradeInputRecording(recording) {
+    if (recording.version !== 1) return recording;
+
+    const scaleRadius = (values, key) => values && typeof values[key] === 'number'
+        ? Object.assign({}, values, { [key]: values[key] / 100 })
+        : values;
+    return Object.assign({}, recording, {
+        version: INPUT_RECORDING_VERSION,
+        config: scaleRadius(recording.config, 'splatRadius'),
+        emitters: Array.isArray(recording.emitters)
+            ? recording.emitters.map(emitter => scaleRadius(emitter, 'radius'))
+            : recording.emitters,
+        events: recording.events.map(e => e.type === 'splat' ? scaleRadius(e, 'radius') : e)
+    });
+}
+
+// Lowest adaptive quality is 1/8 of the configured resolution
+const MAX_ADAPTIVE_LEVEL = 3;
+
+// ===== Pressure Solvers =====
+export const PRESSURE_SOLVERS = ['jacobi', 'sor', 'multigrid'];
+// Approximate cost of one solver iteration, in full-grid passes
+const PRESSURE_SOLVER_COST = { jacobi: 1, sor: 2, multigrid: 8 };
+// How often tolerance mode checks the residual, in passes
+const TOLERANCE_CHECK_PASSES = 8;
+// Multigrid stops coarsening before the short side drops below this
+const MULTIGRID_MIN_SIZE = 8;
+const MULTIGRID_COARSE_SWEEPS = 8;
+
+// ===== Field Visualization =====
+export const BOUNDARY_MODES = ['walls', 'periodic', 'open'];
+export const DISPLAY_MODES = ['dye', 'velocity', 'velocityArrows', 'pressure', 'curl', 'divergence', 'temperature'];
+export const DISPLAY_LAYOUTS = ['single', 'split', 'pip'];
+// Spacing of velocity arrow glyphs, in pixels
+const GLYPH_SIZE = 24;
+
+// Same as packUnit16 in the shaders: 0-1 as two bytes, scaled to 0-1 for clearColor
+function packUnit16(value) {
+    const x = Math.floor(Math.min(Math.max(value, 0), 1) * 65534 + 0.5);
+    const hi = Math.floor(x / 256);
+    return [hi / 255, (x - hi * 256) / 255];
+}
+
+// Inverse of packLog in the shaders
+function unpackLog(hi, lo) {
+    const m = ((hi * 256 + lo) / 65534 - 0.5) * 2;
+    if (Math.abs(m) < 1 / 65534) return 0;
+    return Math.sign(m) * Math.pow(2, Math.abs(m) * 32 - 16);
+}
+
+// ===== Color Schemes =====
+const BUILT_IN_COLOR_SCHEMES = {
+    neon: [
+        { r: 0.0, g: 0.95, b: 1.0 },  // Cyan
+        { r: 1.0, g: 0.0, b: 1.0 },   // Magenta
+        { r: 0.69, g: 0.15, b: 1.0 }  // Purple
+    ],
+    rainbow: [
+        { r: 1.0, g: 0.0, b: 0.0 },   // Red
+        { r: 1.0, g: 0.5, b: 0.0 },   // Orange
+        { r: 1.0, g: 1.0, b: 0.0 },   // Yellow
+        { r: 0.0, g: 1.0, b: 0.0 },   // Green
+        { r: 0.0, g: 0.5, b: 1.0 },   // Blue
+        { r: 0.5, g: 0.0, b: 1.0 }    // Purple
+    ],
+    fire: [
+        { r: 1.0, g: 0.0, b: 0.0 },   // Red
+        { r: 1.0, g: 0.5, b: 0.0 },   // Orange
+        { r: 1.0, g: 1.0, b: 0.0 }    // Yellow
+    ],
+    ocean: [
+        { r: 0.0, g: 0.4, b: 0.8 },   // Deep Blue
+        { r: 0.0, g: 0.8, b: 1.0 },   // Cyan
+        { r: 0.0, g: 1.0, b: 0.8 }    // Turquoise
+    ]
+};
+
+// How a stroke picks its color from the palette
+export const COLOR_STRATEGIES = ['random', 'sequential', 'speed', 'position'];
+// Strategies that re-pick the color on every splat of a stroke
+const DYNAMIC_COLOR_STRATEGIES = ['speed', 'position'];
+// Pointer speed (px per step, x5) that maps to the end of the palette
+const FULL_PALETTE_SPEED = 400;
+
+// Rotates a color's hue by turns (1 = full circle), keeping saturation and value
+function rotateHue(color, turns) {
+    const max = Math.max(color.r, color.g, color.b);
+    const min = Math.min(color.r, color.g, color.b);
+    const delta = max - min;
+    if (delta === 0) return { r: color.r, g: color.g, b: color.b };
+
+    let hue;
+    if (max === color.r) hue = ((color.g - color.b) / delta) % 6;
+    else if (max === color.g) hue = (color.b - color.r) / delta + 2;
+    else hue = (color.r - color.g) / delta + 4;
+
+    hue = ((hue / 6 + turns) % 1 + 1) % 1;
+
+    // HSV -> RGB with the original value and chroma
+    const h = hue * 6;
+    const x = delta * (1 - Math.abs(h % 2 - 1));
+    const [r, g, b] = h < 1 ? [delta, x, 0] : h < 2 ? [x, delta, 0] : h < 3 ? [0, delta, x]
+        : h < 4 ? [0, x, delta] : h < 5 ? [x, 0, delta] : [delta, 0, x];
+    return { r: r + min, g: g + min, b: b + min };
+}
+
+// ===== Image & Video Dye =====
+export const MEDIA_FITS = ['contain', 'cover', 'stretch'];
+export const MEDIA_BLENDS = ['mix', 'add', 'screen'];
+export const MEDIA_TARGETS = ['dye', 'velocity'];
+
+const MEDIA_BLEND_PROGRAMS = { mix: 'mediaMix', add: 'mediaAdd', screen: 'mediaScreen' };
+
+// Fraction of the dye a video blends in per second at strength 1
+const MEDIA_RATE = 4;
+// Velocity per second, per unit of brightness change across a cell, at strength 1
+const MEDIA_FORCE = 20000;
+
+// ===== Emitters =====
+export const EMITTER_TYPES = ['jet', 'fountain', 'vortex', 'source'];
+export const EMITTER_OSCILLATIONS = ['none', 'sine', 'pulse', 'sweep'];
+// Named color sources; an { r, g, b } object is accepted as well
+export const EMITTER_COLOR_SOURCES = ['palette', 'cycle'];
+
+const EMITTER_DEFAULTS = {
+    type: 'jet',
+    x: 0.5,
+    y: 0.5,
+    angle: 90,
+    rate: 1,
+    radius: 0.005,
+    color: 'palette',
+    oscillation: 'none',
+    frequency: 0.5,
+    amplitude: 0.5
+};
+
+// Velocity an emitter adds per second at rate 1
+const EMITTER_SPEED = 1000;
+// Dye (and heat in fire mode) an emitter adds per second at rate 1
+const EMITTER_FLOW = 3;
+// Palette cycles per second for 'cycle' emitters
+const EMITTER_CYCLE_SPEED = 0.1;
+
+// Particles
+export const PARTICLE_STYLES = ['points', 'streaks'];
+export const PARTICLE_COLORS = ['speed', 'dye'];
+export const PARTICLE_LAYERS = ['over', 'only'];
+// Where expired particles come back: anywhere, where the dye is, or the left edge
+export const PARTICLE_SPAWNS = ['random', 'dye', 'inflow'];
+
+const PARTICLE_SPAWN_PROGRAMS = { random: 'particleUpdate', dye: 'particleUpdateDye', inflow: 'particleUpdateInflow' };
+// A 512x512 state texture
+const MAX_PARTICLES = 262144;
+// Palette entries speed colors are looked up in
+const PARTICLE_PALETTE_SIZE = 16;
+// Speed, in grid cells per second, that reaches the end of the palette
+const PARTICLE_SPEED_RANGE = 300;
+// Streak length in steps of motion
+const PARTICLE_STREAK_LENGTH = 4;
+// Peak brightness of one particle; overlaps add up
+const PARTICLE_INTENSITY = 0.6;
+
+// Profiling
+// Passes the profiler reports, and the programs whose draws count towards
+// each; any other program is reported under its own name. The solver's own
+// draws are split further, into 'pressure 1', 'pressure 2'… per iteration or
+// 'pressure L0', 'pressure L1'… per multigrid level; 'pressure' keeps the
+// rest (clearing, residual checks).
+const PROFILE_PASSES = {
+    splats: ['splat', 'splatVelocity', 'splatRadial', 'splatSwirl'],
+    advection: ['advection', 'advectionVelocity', 'advectionTemperature'],
+    pressure: ['clear', 'pressure', 'pressureRedBlack', 'pressureResidual', 'copyField', 'prolongate', 'fieldMeanSquares'],
+    media: ['mediaMix', 'mediaAdd', 'mediaScreen', 'mediaVelocity'],
+    particles: ['particleUpdate', 'particleUpdateDye', 'particleUpdateInflow', 'particlePoints', 'particleStreaks'],
+    postfx: ['bloomPrefilter', 'blur', 'bloomFinal', 'sunraysMask', 'sunrays'],
+    display: ['fieldMagnitude', 'fieldArrows', 'fieldScalar', 'fieldPeak', 'fieldPeakScalar']
+};
+// Frames a profiling session keeps, about a minute at 60 FPS
+const PROFILE_SESSION_FRAMES = 3600;
+
+// ===== Errors =====
+export class WebGLUnsupportedError extends Error {
+    constructor() {
+        super('WebGL is not available in this browser');
+        this.name = 'WebGLUnsupportedError';
+    }
+}
+
+export class ShaderError extends Error {
+    constructor(programName, stage, log, annotatedSource) {
+        super(`Failed to ${stage === 'link' ? 'link' : `compile ${stage} shader of`} program "${programName}"`);
+        this.name = 'ShaderError';
+        this.programName = programName;
+        this.stage = stage;
+        this.log = log || '';
+        this.source = annotatedSource;
+    }
+}
+
+// Prefixes each source line with its number, marking lines the log complains
+// about (drivers report them as "ERROR: 0:<line>: ...")
+function annotateSource(source, log) {
+    const errorLines = new Set();
+    const pattern = /ERROR:\s*\d+:(\d+)/g;
+    let match;
+    while ((match = pattern.exec(log || '')) !== null) {
+        errorLines.add(parseInt(match[1]));
+    }
+
+    return source.split('\n').map((line, i) => {
+        const number = i + 1;
+        const marker = errorLines.has(number) ? '>>' : '  ';
+        return `${marker}${String(number).padStart(4)} | ${line}`;
+    }).join('\n');
+}
+
+// Link errors may come from either stage (a varying mismatch, too many vertex
+// samplers), so both sources are shown. Line markers go on the stage the log
+// names, or on both when that is unclear.
+function annotateLinkSources(vertexSource, fragmentSource, log) {
+    const text = (log || '').toLowerCase();
+    const vertex = text.includes('vertex');
+    const fragment = text.includes('fragment');
+    const unclear = vertex === fragment;
+    return [
+        '// ----- vertex shader -----',
+        annotateSource(vertexSource, vertex || unclear ? log : ''),
+        '',
+        '// ----- fragment shader -----',
+        annotateSource(fragmentSource, fragment || unclear ? log : '')
+    ].join('\n');
+}
+
+// ===== Seeded Random =====
+// mulberry32: small, fast and good enough for splat placement
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ===== Pass Profiler =====
+// Times named passes within a frame. GPU queries resolve a few frames late,
+// so frames wait in pending until every query is back; a disjoint event
+// (e.g. the GPU changed clocks) voids the frames in flight.
+class PassProfiler {
+    constructor(gl, isWebGL2) {
+        this.gl = gl;
+        this.ext = isWebGL2 ? gl.getExtension('EXT_disjoint_timer_query_webgl2') : null;
+        this.timing = this.ext ? 'gpu' : 'cpu';
+        this.start = performance.now();
+        // Finished frames, oldest first
+        this.frames = [];
+        this.pending = [];
+        this.queryPool = [];
+        this.frame = null;
+        this.active = null;
+    }
+
+    beginFrame() {
+        // A frame that threw halfway never ended; its timings are worthless
+        if (this.active) this.end();
+        if (this.frame) this.recycle(this.frame);
+
+        this.collect();
+        this.frame = { passes: [] };
+    }
+
+    begin(name) {
+        if (!this.frame) return;
+        const gl = this.gl;
+        if (this.ext) {
+            const query = this.queryPool.pop() || gl.createQuery();
+            gl.beginQuery(this.ext.TIME_ELAPSED_EXT, query);
+            this.active = { name, query };
+        } else {
+            gl.finish();
+            this.active = { name, start: performance.now() };
+        }
+    }
+
+    end() {
+        const active = this.active;
+        if (!active) return;
+        if (this.ext) {
+            this.gl.endQuery(this.ext.TIME_ELAPSED_EXT);
+        } else {
+            this.gl.finish();
+            active.time = performance.now() - active.start;
+        }
+        this.frame.passes.push(active);
+        this.active = null;
+    }
+
+    endFrame(frameTime, drawCalls) {
+        const frame = this.frame;
+        if (!frame) return;
+        frame.time = performance.now() - this.start;
+        frame.frameTime = frameTime;
+        frame.drawCalls = drawCalls;
+        this.pending.push(frame);
+        this.frame = null;
+        this.collect();
+    }
+
+    // Moves frames whose timings are all in to this.frames
+    collect() {
+        const gl = this.gl;
+        const disjoint = this.ext && gl.getParameter(this.ext.GPU_DISJOINT_EXT);
+
+        while (this.pending.length) {
+            const frame = this.pending[0];
+            const last = frame.passes[frame.passes.length - 1];
+            // Queries finish in order, so the last one being back means all are
+            if (!disjoint && last && last.query && !gl.getQueryParameter(last.query, gl.QUERY_RESULT_AVAILABLE)) break;
+            this.pending.shift();
+
+            const passes = {};
+            let gpuTime = 0;
+            frame.passes.forEach(pass => {
+                if (pass.query && !disjoint) pass.time = gl.getQueryParameter(pass.query, gl.QUERY_RESULT) / 1e6;
+                const total = passes[pass.name] || (passes[pass.name] = { time: 0, calls: 0 });
+                total.time += pass.time || 0;
+                total.calls++;
+                gpuTime += pass.time || 0;
+            });
+            this.recycle(frame);
+            if (disjoint) continue;
+
+            this.frames.push({
+                time: frame.time,
+                frameTime: frame.frameTime,
+                gpuTime,
+                drawCalls: frame.drawCalls,
+                passes
+            });
+            if (this.frames.length > PROFILE_SESSION_FRAMES) this.frames.shift();
+        }
+    }
+
+    recycle(frame) {
+        frame.passes.forEach(pass => {
+            if (pass.query) this.queryPool.push(pass.query);
+        });
+    }
+
+    // Averages of the last count finished frames
+    summarize(count) {
+        const frames = this.frames.slice(-count);
+        const n = frames.length || 1;
+        const summary = { timing: this.timing, frames: frames.length, frameTime: 0, gpuTime: 0, drawCalls: 0, passes: {} };
+
+        frames.forEach(frame => {
+            summary.frameTime += frame.frameTime / n;
+            summary.gpuTime += frame.gpuTime / n;
+            summary.drawCalls += frame.drawCalls / n;
+            for (const name in frame.passes) {
+                const total = summary.passes[name] || (summary.passes[name] = { time: 0, calls: 0 });
+                total.time += frame.passes[name].time / n;
+                total.calls += frame.passes[name].calls / n;
+            }
+        });
+        return summary;
+    }
+
+    delete() {
+        if (this.active) this.end();
+        if (this.frame) this.recycle(this.frame);
+        this.pending.forEach(frame => this.recycle(frame));
+        if (this.ext) this.queryPool.forEach(query => this.gl.deleteQuery(query));
+        this.queryPool = [];
+        this.pending = [];
+        this.frame = null;
+    }
+}
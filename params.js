@@ -0,0 +1,296 @@
+// ===== Parameter Schema =====
+// Every config setting the control panel exposes, in panel order. app.js
+// builds the panel from this list, so a new entry here shows up in the UI
+// with a label, range, numeric entry and reset button of its own.
+//
+// Each parameter:
+//   key      config key in FluidSimulation.config
+//   group    one of PARAMETER_GROUPS
+//   label    { zh, en }
+//   type     'range', 'toggle', 'select' or 'color'
+//   min, max, step   range bounds, in displayed units
+//   unit     shown after the value, e.g. 'fps'
+//   scale    displayed value = config value * scale (default 1)
+//   integer  whole numbers only; values from presets and peers are rounded
+//   options  select entries: { value, label }; label is { zh, en } or a plain string
+//   requires simulation flag the control needs, e.g. 'supportParticles'
+//
+// Values go through sim.applyConfig(), so settings that rebuild GPU state
+// (boundary, fireMode, bloomIterations) need nothing extra.
+//
+// The same ranges bound settings that arrive from elsewhere: presets, shared
+// links and collaborators all pass through cleanConfigValue().
+
+import {
+    BOUNDARY_MODES,
+    COLOR_STRATEGIES,
+    PRESSURE_SOLVERS,
+    DISPLAY_MODES,
+    DISPLAY_LAYOUTS,
+    PARTICLE_STYLES,
+    PARTICLE_COLORS,
+    PARTICLE_LAYERS,
+    PARTICLE_SPAWNS
+} from './fluid.js';
+
+export const PARAMETER_GROUPS = [
+    { key: 'simulation', label: { zh: '流体', en: 'Fluid' } },
+    { key: 'brush', label: { zh: '笔刷', en: 'Brush' } },
+    { key: 'clock', label: { zh: '时钟', en: 'Clock' } },
+    { key: 'quality', label: { zh: '画质', en: 'Quality' } },
+    { key: 'color', label: { zh: '配色', en: 'Color' } },
+    { key: 'fire', label: { zh: '烟火', en: 'Smoke & Fire' } },
+    { key: 'particles', label: { zh: '粒子', en: 'Particles' } },
+    { key: 'post', label: { zh: '后期效果', en: 'Post FX' } },
+    { key: 'display', label: { zh: '显示', en: 'Display' } }
+];
+
+export const PARAMETERS = [
+    // Simulation
+    { key: 'viscosity', group: 'simulation', label: { zh: '粘度', en: 'Viscosity' },
+        type: 'range', min: 0, max: 50, step: 1 },
+    { key: 'diffusion', group: 'simulation', label: { zh: '扩散', en: 'Diffusion' },
+        type: 'range', min: 0, max: 1, step: 0.1 },
+    { key: 'pressure', group: 'simulation', label: { zh: '压力迭代', en: 'Pressure' },
+        type: 'range', min: 5, max: 50, step: 5 },
+    { key: 'pressureSolver', group: 'simulation', label: { zh: '压力求解', en: 'Solver' },
+        type: 'select', options: [
+            { value: 'jacobi', label: { zh: '雅可比', en: 'Jacobi' } },
+            { value: 'sor', label: { zh: '红黑', en: 'SOR' } },
+            { value: 'multigrid', label: { zh: '多重网格', en: 'Multigrid' } }
+        ] },
+    { key: 'pressureTolerance', group: 'simulation', label: { zh: '收敛', en: 'Convergence' },
+        type: 'select', options: [
+            { value: 0, label: { zh: '固定迭代', en: 'Fixed budget' } },
+            { value: 0.01, label: { zh: '容差 1e-2', en: 'Tolerance 1e-2' } },
+            { value: 0.001, label: { zh: '容差 1e-3', en: 'Tolerance 1e-3' } },
+            { value: 0.0001, label: { zh: '容差 1e-4', en: 'Tolerance 1e-4' } }
+        ] },
+    { key: 'curl', group: 'simulation', label: { zh: '涡度', en: 'Curl' },
+        type: 'range', min: 0, max: 50, step: 5 },
+    { key: 'boundary', group: 'simulation', label: { zh: '边界', en: 'Boundary' },
+        type: 'select', options: [
+            { value: 'walls', label: { zh: '墙壁', en: 'Walls' } },
+            { value: 'periodic', label: { zh: '周期', en: 'Periodic' } },
+            { value: 'open', label: { zh: '开放', en: 'Open' } }
+        ] },
+
+    // Brush
+    // Stored as the splat's spread, (distance / canvas height)^2; shown x100
+    { key: 'splatRadius', group: 'brush', label: { zh: '笔刷大小', en: 'Brush Size' },
+        type: 'range', min: 0.1, max: 1, step: 0.1, scale: 100 },
+    { key: 'splatForce', group: 'brush', label: { zh: '笔刷力度', en: 'Brush Force' },
+        type: 'range', min: 1000, max: 15000, step: 500 },
+    { key: 'pointerPressure', group: 'brush', label: { zh: '压感与倾斜', en: 'Pen Pressure & Tilt' },
+        type: 'toggle' },
+
+    // Clock
+    { key: 'timeScale', group: 'clock', label: { zh: '时间缩放', en: 'Time Scale' },
+        type: 'range', min: 0.05, max: 2, step: 0.05, unit: '×' },
+
+    // Quality
+    { key: 'maxPixelRatio', group: 'quality', label: { zh: '像素比上限', en: 'Max Pixel Ratio' },
+        type: 'select', options: [
+            { value: 1, label: '1x' },
+            { value: 1.5, label: '1.5x' },
+            { value: 2, label: '2x' },
+            { value: 3, label: '3x' }
+        ] },
+    { key: 'adaptiveQuality', group: 'quality', label: { zh: '自适应', en: 'Adaptive' },
+        type: 'toggle' },
+    { key: 'targetFPS', group: 'quality', label: { zh: '目标帧率', en: 'Target FPS' },
+        type: 'range', min: 30, max: 120, step: 10, unit: 'fps' },
+
+    // Color
+    { key: 'colorStrategy', group: 'color', label: { zh: '取色', en: 'Color Pick' },
+        type: 'select', options: [
+            { value: 'random', label: { zh: '随机', en: 'Random' } },
+            { value: 'sequential', label: { zh: '顺序', en: 'Sequential' } },
+            { value: 'speed', label: { zh: '按速度', en: 'By Speed' } },
+            { value: 'position', label: { zh: '按位置', en: 'By Position' } }
+        ] },
+    { key: 'colorGradient', group: 'color', label: { zh: '渐变', en: 'Gradient' },
+        type: 'toggle' },
+    { key: 'hueCycle', group: 'color', label: { zh: '色相循环', en: 'Hue Cycle' },
+        type: 'toggle' },
+    { key: 'hueCycleSpeed', group: 'color', label: { zh: '循环速度', en: 'Cycle Speed' },
+        type: 'range', min: 0.01, max: 0.5, step: 0.01 },
+
+    // Smoke & fire; turning it on resets the temperature field to ambient
+    { key: 'fireMode', group: 'fire', label: { zh: '温度场', en: 'Temperature' },
+        type: 'toggle' },
+    { key: 'ambientTemperature', group: 'fire', label: { zh: '环境温度', en: 'Ambient' },
+        type: 'range', min: -1, max: 1, step: 0.1 },
+    { key: 'buoyancy', group: 'fire', label: { zh: '浮力', en: 'Buoyancy' },
+        type: 'range', min: 0, max: 200, step: 10 },
+    { key: 'cooling', group: 'fire', label: { zh: '冷却', en: 'Cooling' },
+        type: 'range', min: 0, max: 3, step: 0.1 },
+    { key: 'smokeWeight', group: 'fire', label: { zh: '烟重', en: 'Smoke Weight' },
+        type: 'range', min: 0, max: 50, step: 1 },
+
+    // Particles; the state is allocated on the next step
+    { key: 'particles', group: 'particles', label: { zh: '示踪粒子', en: 'Tracers' },
+        type: 'toggle', requires: 'supportParticles' },
+    { key: 'particleCount', group: 'particles', label: { zh: '数量', en: 'Count' },
+        type: 'select', integer: true, options: [
+            { value: 16384, label: '16K' },
+            { value: 65536, label: '64K' },
+            { value: 262144, label: '256K' }
+        ] },
+    { key: 'particleSize', group: 'particles', label: { zh: '大小', en: 'Size' },
+        type: 'range', min: 1, max: 8, step: 0.5, unit: 'px' },
+    { key: 'particleLifetime', group: 'particles', label: { zh: '寿命', en: 'Lifetime' },
+        type: 'range', min: 0.5, max: 20, step: 0.5, unit: 's' },
+    { key: 'particleStyle', group: 'particles', label: { zh: '样式', en: 'Style' },
+        type: 'select', options: [
+            { value: 'points', label: { zh: '点', en: 'Points' } },
+            { value: 'streaks', label: { zh: '流线', en: 'Streaks' } }
+        ] },
+    { key: 'particleColor', group: 'particles', label: { zh: '颜色', en: 'Color' },
+        type: 'select', options: [
+            { value: 'speed', label: { zh: '按速度', en: 'By Speed' } },
+            { value: 'dye', label: { zh: '按染料', en: 'By Dye' } }
+        ] },
+    { key: 'particleLayer', group: 'particles', label: { zh: '图层', en: 'Layer' },
+        type: 'select', options: [
+            { value: 'over', label: { zh: '叠加染料', en: 'Over Dye' } },
+            { value: 'only', label: { zh: '仅粒子', en: 'Particles Only' } }
+        ] },
+    { key: 'particleSpawn', group: 'particles', label: { zh: '生成', en: 'Spawn' },
+        type: 'select', options: [
+            { value: 'random', label: { zh: '随机', en: 'Random' } },
+            { value: 'dye', label: { zh: '染料处', en: 'In Dye' } },
+            { value: 'inflow', label: { zh: '左侧流入', en: 'Inflow' } }
+        ] },
+
+    // Post-processing
+    { key: 'bloom', group: 'post', label: { zh: '辉光', en: 'Bloom' },
+        type: 'toggle' },
+    { key: 'bloomIntensity', group: 'post', label: { zh: '辉光强度', en: 'Bloom Intensity' },
+        type: 'range', min: 0.1, max: 2, step: 0.1 },
+    { key: 'bloomThreshold', group: 'post', label: { zh: '辉光阈值', en: 'Bloom Threshold' },
+        type: 'range', min: 0, max: 1, step: 0.05 },
+    { key: 'bloomSoftKnee', group: 'post', label: { zh: '辉光柔和', en: 'Bloom Soft Knee' },
+        type: 'range', min: 0, max: 1, step: 0.1 },
+    { key: 'bloomIterations', group: 'post', label: { zh: '辉光迭代', en: 'Bloom Iterations' },
+        type: 'range', min: 1, max: 8, step: 1, integer: true },
+    { key: 'sunrays', group: 'post', label: { zh: '光线', en: 'Sunrays' },
+        type: 'toggle' },
+    { key: 'sunraysWeight', group: 'post', label: { zh: '光线权重', en: 'Sunrays Weight' },
+        type: 'range', min: 0.3, max: 1, step: 0.1 },
+    { key: 'shading', group: 'post', label: { zh: '明暗', en: 'Shading' },
+        type: 'toggle' },
+    { key: 'dithering', group: 'post', label: { zh: '抖动', en: 'Dithering' },
+        type: 'toggle' },
+    { key: 'backgroundColor', group: 'post', label: { zh: '背景', en: 'Background' },
+        type: 'color' },
+    { key: 'backgroundGradient', group: 'post', label: { zh: '背景渐变', en: 'Background Gradient' },
+        type: 'toggle' },
+    { key: 'backgroundGradientColor', group: 'post', label: { zh: '渐变颜色', en: 'Gradient Color' },
+        type: 'color' },
+
+    // Display
+    { key: 'displayMode', group: 'display', label: { zh: '场', en: 'Field' },
+        type: 'select', options: [
+            { value: 'dye', label: { zh: '染料', en: 'Dye' } },
+            { value: 'velocity', label: { zh: '速度', en: 'Velocity' } },
+            { value: 'velocityArrows', label: { zh: '速度箭头', en: 'Velocity Arrows' } },
+            { value: 'pressure', label: { zh: '压力', en: 'Pressure' } },
+            { value: 'curl', label: { zh: '涡度', en: 'Curl' } },
+            { value: 'divergence', label: { zh: '散度', en: 'Divergence' } },
+            { value: 'temperature', label: { zh: '温度', en: 'Temperature' } }
+        ] },
+    { key: 'displayLayout', group: 'display', label: { zh: '布局', en: 'Layout' },
+        type: 'select', options: [
+            { value: 'single', label: { zh: '单视图', en: 'Single' } },
+            { value: 'split', label: { zh: '分屏', en: 'Split' } },
+            { value: 'pip', label: { zh: '画中画', en: 'Picture in Picture' } }
+        ] },
+    { key: 'displayAutoRange', group: 'display', label: { zh: '自动量程', en: 'Auto Range' },
+        type: 'toggle' }
+];
+
+// String settings and the values they accept
+export const CONFIG_CHOICES = {
+    boundary: BOUNDARY_MODES,
+    pressureSolver: PRESSURE_SOLVERS,
+    colorStrategy: COLOR_STRATEGIES,
+    displayMode: DISPLAY_MODES,
+    displayLayout: DISPLAY_LAYOUTS,
+    particleStyle: PARTICLE_STYLES,
+    particleColor: PARTICLE_COLORS,
+    particleLayer: PARTICLE_LAYERS,
+    particleSpawn: PARTICLE_SPAWNS
+};
+
+// Ranges for numeric settings the panel has no control for, in config units
+const CONFIG_LIMITS = {
+    simResolution: { min: 16, max: 1024, integer: true },
+    dyeResolution: { min: 16, max: 4096, integer: true },
+    bloomResolution: { min: 16, max: 1024, integer: true },
+    sunraysResolution: { min: 16, max: 1024, integer: true },
+    maxSubsteps: { min: 1, max: 16, integer: true },
+    // SOR converges for 0 < omega < 2; below 1 it under-relaxes, slower but
+    // steadier
+    pressureOmega: { min: 0.05, max: 1.95 },
+    obstacleBrush: { min: 1, max: 200 }
+};
+
+// { min, max, integer } for a numeric setting, in config units, or null
+export function configLimits(key) {
+    if (key in CONFIG_LIMITS) return CONFIG_LIMITS[key];
+
+    const param = PARAMETERS.find(entry => entry.key === key);
+    if (!param) return null;
+    if (param.type === 'select') {
+        const values = param.options.map(option => option.value);
+        return { min: Math.min(...values), max: Math.max(...values), integer: !!param.integer };
+    }
+    if (param.type === 'range') {
+        const scale = param.scale || 1;
+        return { min: param.min / scale, max: param.max / scale, integer: !!param.integer };
+    }
+    return null;
+}
+
+// Checks a setting from outside the page against the type of its default
+// (fallback) and the ranges above. Numbers are clamped into range; anything
+// else that doesn't fit throws with a readable message. colorScheme depends
+// on the simulation's palettes, so callers check it themselves.
+export function cleanConfigValue(key, value, fallback) {
+    if (typeof fallback === 'number') {
+        if (!Number.isFinite(value)) throw new Error(`${key} must be a number`);
+        const limits = configLimits(key);
+        if (!limits) return value;
+        const clamped = Math.min(Math.max(value, limits.min), limits.max);
+        return limits.integer ? Math.round(clamped) : clamped;
+    }
+    if (typeof fallback === 'boolean') {
+        if (typeof value !== 'boolean') throw new Error(`${key} must be true or false`);
+        return value;
+    }
+    if (typeof fallback === 'string') {
+        if (!(key in CONFIG_CHOICES) || !CONFIG_CHOICES[key].includes(value)) {
+            throw new Error(`${key} can't be ${value}`);
+        }
+        return value;
+    }
+    if (fallback && typeof fallback === 'object') {
+        if (!value || !['r', 'g', 'b'].every(c => Number.isFinite(value[c]))) {
+            throw new Error(`${key} must be an { r, g, b } color`);
+        }
+        return { r: value.r, g: value.g, b: value.b };
+    }
+    throw new Error(`${key} is not a setting`);
+}
+
+// Panel languages; 'both' shows Chinese then English, as the rest of the page does
+export const LANGUAGES = ['both', 'zh', 'en'];
+
+// A { zh, en } label (or a plain string) in the given language
+export function translate(label, language = 'both') {
+    if (typeof label === 'string') return label;
+    if (language === 'zh') return label.zh;
+    if (language === 'en') return label.en;
+    return `${label.zh} ${label.en}`;
+}
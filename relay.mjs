@@ -0,0 +1,299 @@
+// ===== Collaboration Relay =====
+// A small WebSocket relay for collab.js, with no dependencies beyond Node.
+// Clients connect to ws://<host>:<port>/<room>; whatever one client sends
+// reaches everyone else in the same room, tagged with the sender's id. The
+// relay keeps no simulation state: each browser runs its own fluid.
+//
+// Usage:
+//   node relay.mjs [port]        (default 8787, or $PORT)
+//
+// Protocol (JSON text messages):
+//   client -> relay  { type: 'hello', name, color }    once, after connecting
+//   relay -> client  { type: 'welcome', id, peers: [{ id, name, color }] }
+//   relay -> others  { type: 'join', id, name, color } / { type: 'leave', id }
+//   anything else is passed on with from: <sender id>; a message with
+//   to: <id> goes to that client only
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { networkInterfaces } from 'node:os';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+
+// Fixed by RFC 6455 for the handshake
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Largest message accepted from a client, in bytes
+const MAX_MESSAGE_SIZE = 1 << 20;
+// Clients that don't answer a ping within this long (ms) are dropped
+const PING_INTERVAL = 30000;
+
+const OPCODE = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+const CLOSE_CODE = { normal: 1000, protocolError: 1002, unsupported: 1003, invalidData: 1007, tooBig: 1009 };
+
+// Room name -> Set of clients
+const rooms = new Map();
+let nextId = 1;
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Fluid collaboration relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const room = roomOf(req.url);
+    if (!key || room === null || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        // Closed outright once the answer is out, before any handshake
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n', () => socket.destroy());
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`
+    ].join('\r\n') + '\r\n\r\n');
+    socket.setNoDelay(true);
+
+    const client = {
+        id: nextId++,
+        socket,
+        room,
+        name: null,
+        color: null,
+        // Bytes not yet parsed into frames, and the parts of a fragmented message
+        buffer: Buffer.alloc(0),
+        fragments: [],
+        alive: true,
+        // Set once we've sent a close frame; nothing it sends after counts
+        closed: false
+    };
+    if (!rooms.has(client.room)) rooms.set(client.room, new Set());
+    rooms.get(client.room).add(client);
+
+    socket.on('data', data => receive(client, data));
+    socket.on('close', () => leave(client));
+    socket.on('error', () => socket.destroy());
+});
+
+// ===== Rooms =====
+// The room a request path names, or null when it isn't a valid path
+function roomOf(url) {
+    try {
+        return decodeURIComponent(new URL(url, 'http://relay').pathname.slice(1)) || 'default';
+    } catch {
+        return null;
+    }
+}
+
+function handleMessage(client, text) {
+    if (client.closed) return;
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        close(client, CLOSE_CODE.invalidData);
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    if (message.type === 'hello') {
+        if (client.name !== null) return;
+        client.name = String(message.name || '').slice(0, 40) || `Guest ${client.id}`;
+        client.color = isColor(message.color) ? message.color : null;
+        sendJSON(client, { type: 'welcome', id: client.id, peers: peersOf(client).map(describe) });
+        broadcast(client, Object.assign({ type: 'join' }, describe(client)));
+        log(`${client.name} (#${client.id}) joined "${client.room}"`);
+        return;
+    }
+    // Nothing is passed on before the client has introduced itself
+    if (client.name === null) return;
+
+    message.from = client.id;
+    if (message.to !== undefined) {
+        const target = peersOf(client).find(peer => peer.id === message.to);
+        if (target) sendJSON(target, message);
+    } else {
+        broadcast(client, message);
+    }
+}
+
+function leave(client) {
+    const room = rooms.get(client.room);
+    if (!room || !room.delete(client)) return;
+    if (room.size === 0) rooms.delete(client.room);
+
+    if (client.name !== null) {
+        broadcast(client, { type: 'leave', id: client.id });
+        log(`${client.name} (#${client.id}) left "${client.room}"`);
+    }
+}
+
+// Clients in the same room that have said hello, other than client
+function peersOf(client) {
+    return [...(rooms.get(client.room) || [])].filter(peer => peer !== client && peer.name !== null);
+}
+
+function broadcast(client, message) {
+    const text = JSON.stringify(message);
+    peersOf(client).forEach(peer => sendFrame(peer.socket, OPCODE.text, Buffer.from(text)));
+}
+
+function describe(client) {
+    return { id: client.id, name: client.name, color: client.color };
+}
+
+function isColor(color) {
+    return !!color && ['r', 'g', 'b'].every(k => Number.isFinite(color[k]));
+}
+
+// ===== WebSocket Framing =====
+function receive(client, data) {
+    if (client.closed) return;
+    client.buffer = Buffer.concat([client.buffer, data]);
+
+    while (!client.closed) {
+        const frame = parseFrame(client.buffer);
+        if (!frame) return;
+        if (frame.error) {
+            close(client, frame.error);
+            return;
+        }
+        client.buffer = client.buffer.subarray(frame.size);
+        handleFrame(client, frame);
+    }
+}
+
+// The frame at the start of buffer, or null until all of it has arrived
+function parseFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        if (longLength > BigInt(MAX_MESSAGE_SIZE)) return { error: CLOSE_CODE.tooBig };
+        length = Number(longLength);
+        offset = 10;
+    }
+
+    // Browsers always mask what they send
+    if (!masked) return { error: CLOSE_CODE.protocolError };
+    if (length > MAX_MESSAGE_SIZE) return { error: CLOSE_CODE.tooBig };
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < length; i++) payload[i] ^= mask[i & 3];
+
+    return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+function handleFrame(client, frame) {
+    switch (frame.opcode) {
+        case OPCODE.text:
+        case OPCODE.continuation: {
+            client.fragments.push(frame.payload);
+            const size = client.fragments.reduce((sum, part) => sum + part.length, 0);
+            if (size > MAX_MESSAGE_SIZE) {
+                close(client, CLOSE_CODE.tooBig);
+                return;
+            }
+            if (!frame.fin) return;
+            const text = Buffer.concat(client.fragments).toString('utf8');
+            client.fragments = [];
+            handleMessage(client, text);
+            break;
+        }
+        case OPCODE.binary:
+            close(client, CLOSE_CODE.unsupported);
+            break;
+        case OPCODE.close:
+            close(client, CLOSE_CODE.normal);
+            break;
+        case OPCODE.ping:
+            sendFrame(client.socket, OPCODE.pong, frame.payload);
+            break;
+        case OPCODE.pong:
+            client.alive = true;
+            break;
+        default:
+            close(client, CLOSE_CODE.protocolError);
+    }
+}
+
+function sendFrame(socket, opcode, payload) {
+    if (socket.destroyed) return;
+
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    socket.write(Buffer.concat([header, payload]));
+}
+
+function sendJSON(client, message) {
+    sendFrame(client.socket, OPCODE.text, Buffer.from(JSON.stringify(message)));
+}
+
+function close(client, code) {
+    if (client.closed) return;
+    client.closed = true;
+    client.buffer = Buffer.alloc(0);
+    client.fragments = [];
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    sendFrame(client.socket, OPCODE.close, payload);
+    client.socket.end();
+    leave(client);
+}
+
+// ===== Keep-Alive =====
+// Browsers answer pings on their own; silent clients (a closed laptop lid)
+// are dropped so they stop showing up as peers
+setInterval(() => {
+    rooms.forEach(room => room.forEach(client => {
+        if (!client.alive) {
+            client.socket.destroy();
+            leave(client);
+            return;
+        }
+        client.alive = false;
+        sendFrame(client.socket, OPCODE.ping, Buffer.alloc(0));
+    }));
+}, PING_INTERVAL);
+
+// ===== Startup =====
+function log(message) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${message}`);
+}
+
+server.listen(PORT, () => {
+    console.log(`Fluid collaboration relay on port ${PORT}`);
+    console.log(`  ws://localhost:${PORT}/<room>`);
+    // Addresses other machines on the network can use
+    Object.values(networkInterfaces()).flat()
+        .filter(address => address.family === 'IPv4' && !address.internal)
+        .forEach(address => console.log(`  ws://${address.address}:${PORT}/<room>`));
+});